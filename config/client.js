@@ -0,0 +1,4 @@
+// Base URL of the storefront, used for links in emails and the sitemap
+const CLIENT_URL = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+module.exports = { CLIENT_URL };
@@ -0,0 +1,46 @@
+const path = require('path');
+const {
+  createConsoleTransport,
+  createFileTransport,
+  createSmtpTransport,
+} = require('../utils/mailTransports');
+
+// Outgoing mail, chosen through .env:
+//   MAIL_TRANSPORT=console (default)  print messages to the server log
+//   MAIL_TRANSPORT=file               write .eml files to MAIL_DIR (default logs/mail)
+//   MAIL_TRANSPORT=smtp               SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+const MAIL_FROM = process.env.MAIL_FROM || 'Nighty Sale <no-reply@localhost>';
+
+const createTransport = (kind) => {
+  switch (kind) {
+    case 'console':
+      return createConsoleTransport();
+    case 'file':
+      return createFileTransport({
+        dir: path.resolve(process.env.MAIL_DIR || path.join(__dirname, '..', 'logs', 'mail'))
+      });
+    case 'smtp':
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT || 587),
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${kind}" (use console, file or smtp)`);
+  }
+};
+
+// Production must choose on purpose: the console default would write live
+// reset and verification links into the server log
+if (process.env.NODE_ENV === 'production' && !process.env.MAIL_TRANSPORT) {
+  throw new Error('MAIL_TRANSPORT must be set in production (smtp, or file/console on purpose)');
+}
+
+const transport = createTransport(process.env.MAIL_TRANSPORT || 'console');
+
+// @desc    Send an email: { to, subject, text, html }
+const sendMail = (message) => transport.send({ from: MAIL_FROM, ...message });
+
+module.exports = { sendMail, transport };
@@ -0,0 +1,56 @@
+// Staff roles and what each one may do. Routes check permissions (through
+// requirePermission), never role names, so a role can be changed here
+// without touching the routes.
+const PERMISSIONS = [
+  'users:read',
+  'users:update',
+  'users:delete',
+  'users:assign-roles',
+  'products:create',
+  'products:update',
+  'products:delete',
+  'products:import',
+  'categories:manage',
+  'uploads:manage',
+  'reviews:moderate',
+  'orders:read',
+  'orders:update',
+  'orders:refund',
+  'returns:read',
+  'returns:update',
+  'coupons:manage',
+  'reports:view',
+];
+
+const ROLE_PERMISSIONS = {
+  // Customers: only their own account, cart and orders
+  user: [],
+  admin: PERMISSIONS,
+  catalog_manager: [
+    'products:create',
+    'products:update',
+    'products:delete',
+    'products:import',
+    'categories:manage',
+    'uploads:manage',
+    'reviews:moderate',
+    'reports:view',
+  ],
+  order_fulfilment: [
+    'orders:read',
+    'orders:update',
+    'returns:read',
+    'returns:update',
+  ],
+  support: [
+    'users:read',
+    'orders:read',
+    'returns:read',
+    'returns:update',
+    'reviews:moderate',
+  ],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+module.exports = { PERMISSIONS, ROLE_PERMISSIONS, ROLES };
@@ -0,0 +1,17 @@
+// Words customers use interchangeably when searching the catalog.
+// Every word in a group also searches for the rest of its group.
+// Keep entries lowercase letters/digits only (no hyphens: "-word" means
+// "exclude word" to MongoDB text search).
+const SEARCH_SYNONYMS = [
+  ['nighty', 'nightie', 'nighties', 'nightgown', 'nightdress', 'nightwear'],
+  ['pyjama', 'pyjamas', 'pajama', 'pajamas', 'pjs'],
+  ['sleepwear', 'nightwear', 'loungewear'],
+  ['gown', 'maxi', 'nightgown'],
+  ['robe', 'gown', 'housecoat'],
+  ['tshirt', 'tee', 'top'],
+  ['shorts', 'short'],
+  ['satin', 'silk'],
+  ['kids', 'children', 'girls', 'boys'],
+];
+
+module.exports = SEARCH_SYNONYMS;
@@ -0,0 +1,27 @@
+// Outgoing text messages (phone verification codes). A transport is an
+// object with `name` and `send({ to, text })`, like the mail transports in
+// utils/mailTransports.js. Only the console transport exists so far; add an
+// SMS provider here and select it with SMS_TRANSPORT.
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async ({ to, text }) => {
+    console.log(`----- Outgoing SMS to ${to} -----\n${text}\n--------------------------`);
+    return { transport: 'console' };
+  }
+});
+
+const createTransport = (kind) => {
+  switch (kind) {
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown SMS_TRANSPORT "${kind}" (use console)`);
+  }
+};
+
+const transport = createTransport(process.env.SMS_TRANSPORT || 'console');
+
+// @desc    Send a text message: { to, text }
+const sendSms = (message) => transport.send(message);
+
+module.exports = { sendSms, transport };
@@ -1,6 +1,7 @@
 const Order = require('../models/Order');
 const Product = require('../models/Product');
 const User = require('../models/User');
+const Wishlist = require('../models/Wishlist');
 
 // @desc    Get dashboard statistics
 // @route   GET /api/admin/stats
@@ -11,25 +12,36 @@ const getDashboardStats = async (req, res) => {
     const totalOrders = await Order.countDocuments();
 
     // 2. Total Products
-    const totalProducts = await Product.countDocuments();
+    const totalProducts = await Product.countDocuments({ deletedAt: null });
 
     // 3. Total Users (excluding admins, optional)
     const totalUsers = await User.countDocuments({ role: 'user' });
 
-    // 4. Total Revenue (Only count paid orders)
+    // 4. Total Revenue (Only count paid orders, net of refunds; orders
+    //    marked paid by hand in development are not revenue)
     const revenueCalc = await Order.aggregate([
-      { $match: { isPaid: true } },
-      { $group: { _id: null, totalRevenue: { $sum: '$totalPrice' } } }
+      { $match: { isPaid: true, 'paymentResult.status': { $ne: 'manual' } } },
+      {
+        $group: {
+          _id: null,
+          grossRevenue: { $sum: '$totalPrice' },
+          totalRefunded: { $sum: { $ifNull: ['$amountRefunded', 0] } }
+        }
+      }
     ]);
 
     // If there are no paid orders yet, revenueCalc is empty
-    const totalRevenue = revenueCalc.length > 0 ? revenueCalc[0].totalRevenue : 0;
+    const grossRevenue = revenueCalc.length > 0 ? revenueCalc[0].grossRevenue : 0;
+    const totalRefunded = revenueCalc.length > 0 ? revenueCalc[0].totalRefunded : 0;
+    const totalRevenue = grossRevenue - totalRefunded;
 
     res.json({
       totalOrders,
       totalProducts,
       totalUsers,
-      totalRevenue
+      totalRevenue,
+      grossRevenue,
+      totalRefunded
     });
 
   } catch (error) {
@@ -38,4 +50,52 @@ const getDashboardStats = async (req, res) => {
   }
 };
 
-module.exports = { getDashboardStats };
\ No newline at end of file
+// @desc    Get the most wishlisted products (restock / sale candidates)
+// @route   GET /api/admin/wishlist/top?limit=10
+// @access  Private/Admin
+const getTopWishlistedProducts = async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 10, 50);
+
+    const topProducts = await Wishlist.aggregate([
+      { $unwind: '$items' },
+      // Count each customer once per product, whatever sizes they saved
+      { $group: { _id: { product: '$items.product', user: '$user' } } },
+      { $group: { _id: '$_id.product', wishlistCount: { $sum: 1 } } },
+      { $sort: { wishlistCount: -1 } },
+      {
+        $lookup: {
+          from: 'products',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'product'
+        }
+      },
+      { $unwind: '$product' },
+      // Deleted and archived products are out of the catalog for good
+      { $match: { 'product.deletedAt': null, 'product.status': { $ne: 'archived' } } },
+      { $limit: limit },
+      {
+        $project: {
+          _id: 0,
+          wishlistCount: 1,
+          product: {
+            _id: '$product._id',
+            name: '$product.name',
+            image: '$product.image.thumbnail',
+            category: '$product.category',
+            price: '$product.price',
+            countInStock: '$product.countInStock'
+          }
+        }
+      }
+    ]);
+
+    res.json(topProducts);
+  } catch (error) {
+    console.error('Top wishlisted products error:', error);
+    res.status(500).json({ message: 'Error fetching wishlist statistics' });
+  }
+};
+
+module.exports = { getDashboardStats, getTopWishlistedProducts };
\ No newline at end of file
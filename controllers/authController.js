@@ -1,5 +1,25 @@
 const User = require('../models/User');
 const generateToken = require('../utils/generateToken');
+const { permissionsFor } = require('../utils/permissions');
+const { mergeGuestCart } = require('../utils/cart');
+const {
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllUserTokens,
+} = require('../utils/refreshTokens');
+const { createPasswordReset, resetPassword } = require('../utils/passwordReset');
+const { passwordResetEmail } = require('../utils/emails');
+const { sendMail } = require('../config/mail');
+const {
+  sendVerification,
+  verifyEmailToken,
+  verifyPhoneCode,
+} = require('../utils/verification');
+
+// Same answer whether or not the email has an account, so the form cannot be
+// used to find out who shops here
+const FORGOT_PASSWORD_MESSAGE = 'If an account exists for that email, a password reset link has been sent';
 
 // @desc    Register a new user
 // @route   POST /api/users
@@ -35,18 +55,34 @@ const registerUser = async (req, res) => {
       phone,
     });
 
-    // 5. Respond with token
+    // 5. Send the email link and SMS code. Either can be requested again
+    //    later, so a delivery problem must not fail the signup.
+    for (const channel of ['email', 'phone']) {
+      if (user && (channel === 'email' ? user.email : user.phone)) {
+        try {
+          await sendVerification(user, channel);
+        } catch (verificationError) {
+          console.error(`Signup ${channel} verification error:`, verificationError);
+        }
+      }
+    }
+
+    // 6. Respond with token
     if (user) {
       return res.status(201).json({
         _id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
-        token: generateToken(user._id),
+        permissions: permissionsFor(user),
+        emailVerified: user.emailVerified,
+        phoneVerified: user.phoneVerified,
+        token: generateToken(user._id, user.tokenVersion),
+        refreshToken: await issueRefreshToken(user._id, req),
       });
     }
 
-    // 6. Fallback (should not reach here)
+    // 7. Fallback (should not reach here)
     return res.status(400).json({ message: "Invalid user data" });
 
   } catch (error) {
@@ -60,19 +96,31 @@ const registerUser = async (req, res) => {
 // @route   POST /api/users/login
 // @access  Public
 const authUser = async (req, res) => {
-  const { email, password } = req.body;
+  const { email, password, guestCartId } = req.body;
 
   try {
     // Explicitly select password because we set select:false in model
     const user = await User.findOne({ email }).select('+password');
 
     if (user && (await user.matchPassword(password))) {
+      // Bring along whatever the shopper added before logging in.
+      // A failed merge should never block the login itself.
+      try {
+        await mergeGuestCart(user._id, guestCartId || req.headers['x-guest-cart-id']);
+      } catch (mergeError) {
+        console.error('Guest cart merge error:', mergeError);
+      }
+
       res.json({
         _id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
-        token: generateToken(user._id),
+        permissions: permissionsFor(user),
+        emailVerified: user.emailVerified,
+        phoneVerified: user.phoneVerified,
+        token: generateToken(user._id, user.tokenVersion),
+        refreshToken: await issueRefreshToken(user._id, req),
       });
     } else {
       res.status(401).json({ message: 'Invalid email or password' });
@@ -82,4 +130,178 @@ const authUser = async (req, res) => {
   }
 };
 
-module.exports = { registerUser, authUser };
\ No newline at end of file
+// @desc    Exchange a refresh token for a new access token
+//          The refresh token is rotated: the response carries its replacement.
+// @route   POST /api/users/refresh
+// @access  Public
+const refreshAccessToken = async (req, res) => {
+  try {
+    const { user, refreshToken } = await rotateRefreshToken(req.body && req.body.refreshToken, req);
+
+    res.json({
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      permissions: permissionsFor(user),
+      emailVerified: user.emailVerified,
+      phoneVerified: user.phoneVerified,
+      token: generateToken(user._id, user.tokenVersion),
+      refreshToken,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Log out this session, or every session with { allDevices: true }
+// @route   POST /api/users/logout
+// @access  Public (send the refresh token; a valid access token also works for allDevices)
+const logoutUser = async (req, res) => {
+  try {
+    const { refreshToken, allDevices } = req.body || {};
+
+    const userId = await revokeRefreshToken(refreshToken) || (req.user && req.user._id);
+
+    if (allDevices && userId) {
+      await revokeAllUserTokens(userId, 'logout');
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const { resetUrl, expiresInMinutes } = await createPasswordReset(user);
+  await sendMail({
+    to: user.email,
+    ...passwordResetEmail({ name: user.name, resetUrl, expiresInMinutes })
+  });
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/users/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+  try {
+    const email = req.body && typeof req.body.email === 'string' ? req.body.email.trim() : '';
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const user = await User.findOne({ email });
+
+    // Answer before doing any work for a real account: waiting on the mail
+    // server only when the account exists would give it away through timing
+    res.json({ message: FORGOT_PASSWORD_MESSAGE });
+
+    if (user) {
+      sendPasswordResetEmail(user).catch(mailError => {
+        console.error('Password reset email error:', mailError);
+      });
+    }
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Choose a new password with the emailed reset token
+// @route   POST /api/users/reset-password
+// @access  Public
+const resetUserPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+
+    await resetPassword(token, password);
+
+    res.json({ message: 'Password has been reset. Please log in with your new password' });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ message: 'Validation error', errors: messages });
+    }
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const handleVerificationError = (res, error, label) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ message: error.message, ...error.details });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ message: error.message });
+};
+
+// @desc    Send (or resend) the email verification link
+// @route   POST /api/users/verify-email/send
+// @access  Private
+const sendEmailVerification = async (req, res) => {
+  try {
+    const sent = await sendVerification(req.user, 'email');
+    res.json({ message: `Verification link sent to ${req.user.email}`, ...sent });
+  } catch (error) {
+    handleVerificationError(res, error, 'Send email verification');
+  }
+};
+
+// @desc    Confirm an email address with the token from the link
+// @route   POST /api/users/verify-email
+// @access  Public (the token identifies the account)
+const verifyEmail = async (req, res) => {
+  try {
+    const user = await verifyEmailToken(req.body && req.body.token);
+    res.json({ message: 'Email verified', email: user.email, emailVerified: user.emailVerified });
+  } catch (error) {
+    handleVerificationError(res, error, 'Verify email');
+  }
+};
+
+// @desc    Send (or resend) the phone verification code by SMS
+// @route   POST /api/users/verify-phone/send
+// @access  Private
+const sendPhoneVerification = async (req, res) => {
+  try {
+    const sent = await sendVerification(req.user, 'phone');
+    res.json({ message: 'Verification code sent by SMS', ...sent });
+  } catch (error) {
+    handleVerificationError(res, error, 'Send phone verification');
+  }
+};
+
+// @desc    Confirm the phone number with the SMS code
+// @route   POST /api/users/verify-phone
+// @access  Private
+const verifyPhone = async (req, res) => {
+  try {
+    const user = await verifyPhoneCode(req.user, req.body && req.body.code);
+    res.json({ message: 'Phone number verified', phone: user.phone, phoneVerified: user.phoneVerified });
+  } catch (error) {
+    handleVerificationError(res, error, 'Verify phone');
+  }
+};
+
+module.exports = {
+  registerUser,
+  authUser,
+  refreshAccessToken,
+  logoutUser,
+  forgotPassword,
+  resetUserPassword,
+  sendEmailVerification,
+  verifyEmail,
+  sendPhoneVerification,
+  verifyPhone,
+};
\ No newline at end of file
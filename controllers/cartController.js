@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const Cart = require('../models/Cart');
+const { validateCartLine, priceCart } = require('../utils/cart');
+
+// Guests identify their cart with this header (returned as `guestId`)
+const GUEST_CART_HEADER = 'x-guest-cart-id';
+
+// Logged-in users have one cart; guests are found by their guest id.
+// With `create`, a missing cart is started (a new guest gets a fresh id).
+const findCart = async (req, { create = false } = {}) => {
+  if (req.user) {
+    const cart = await Cart.findOne({ user: req.user._id });
+    return cart || (create ? new Cart({ user: req.user._id, items: [] }) : null);
+  }
+
+  const guestId = req.headers[GUEST_CART_HEADER];
+  const cart = guestId ? await Cart.findOne({ guestId: String(guestId) }) : null;
+  return cart || (create ? new Cart({ guestId: crypto.randomUUID(), items: [] }) : null);
+};
+
+// Reprice the cart and send it back in one shape for every endpoint
+const sendCart = async (res, cart, status = 200) => {
+  if (!cart) {
+    return res.status(status).json({ items: [], prices: null });
+  }
+
+  const { items, prices, changed } = await priceCart(cart);
+  if (changed) {
+    await cart.save();
+  }
+
+  res.status(status).json({
+    _id: cart._id,
+    guestId: cart.guestId,
+    items,
+    prices,
+    updatedAt: cart.updatedAt,
+  });
+};
+
+const handleCartError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// @desc    Get the current cart with live prices and stock
+// @route   GET /api/cart
+// @access  Public (guest or logged in)
+const getCart = async (req, res) => {
+  try {
+    await sendCart(res, await findCart(req));
+  } catch (error) {
+    handleCartError(res, error, 'Error fetching cart');
+  }
+};
+
+// @desc    Add a product/size to the cart (adds to an existing line)
+// @route   POST /api/cart/items
+// @access  Public (guest or logged in)
+const addCartItem = async (req, res) => {
+  try {
+    const { product, size, color, qty = 1 } = req.body;
+    const cart = await findCart(req, { create: true });
+
+    const existing = cart.items.find(line =>
+      line.product.toString() === String(product) &&
+      line.size === size &&
+      (line.color || '') === (color || '')
+    );
+
+    // Validate the combined quantity against stock
+    const line = await validateCartLine({
+      product,
+      size,
+      color,
+      qty: Number(qty) + (existing ? existing.qty : 0),
+    });
+
+    if (existing) {
+      existing.qty = line.qty;
+      existing.price = line.price;
+    } else {
+      cart.items.push({ product: line.product._id, size, color, qty: line.qty, price: line.price });
+    }
+
+    await cart.save();
+    await sendCart(res, cart, 201);
+  } catch (error) {
+    handleCartError(res, error, 'Error adding to cart');
+  }
+};
+
+// @desc    Change the quantity of a cart line
+// @route   PUT /api/cart/items/:itemId
+// @access  Public (guest or logged in)
+const updateCartItem = async (req, res) => {
+  try {
+    const cart = await findCart(req);
+    const item = cart && cart.items.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({ message: 'Cart item not found' });
+    }
+
+    const line = await validateCartLine({
+      product: item.product,
+      size: item.size,
+      color: item.color,
+      qty: req.body.qty,
+    });
+
+    item.qty = line.qty;
+    item.price = line.price;
+
+    await cart.save();
+    await sendCart(res, cart);
+  } catch (error) {
+    handleCartError(res, error, 'Error updating cart');
+  }
+};
+
+// @desc    Remove a line from the cart
+// @route   DELETE /api/cart/items/:itemId
+// @access  Public (guest or logged in)
+const removeCartItem = async (req, res) => {
+  try {
+    const cart = await findCart(req);
+    const item = cart && cart.items.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({ message: 'Cart item not found' });
+    }
+
+    item.deleteOne();
+    await cart.save();
+    await sendCart(res, cart);
+  } catch (error) {
+    handleCartError(res, error, 'Error removing from cart');
+  }
+};
+
+// @desc    Empty the cart
+// @route   DELETE /api/cart
+// @access  Public (guest or logged in)
+const clearCart = async (req, res) => {
+  try {
+    const cart = await findCart(req);
+
+    if (cart) {
+      cart.items = [];
+      await cart.save();
+    }
+
+    await sendCart(res, cart);
+  } catch (error) {
+    handleCartError(res, error, 'Error clearing cart');
+  }
+};
+
+module.exports = {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+};
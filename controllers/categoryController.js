@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const { uniqueSlug, slugify } = require('../utils/slug');
+const { getAncestors, createsCycle, buildCategoryTree } = require('../utils/categories');
+
+// Fields an admin may set on a category (slug and parent are checked separately)
+const CATEGORY_FIELDS = ['name', 'order', 'image', 'description'];
+
+const handleCategoryError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: messages
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      message: error.keyPattern && error.keyPattern.slug
+        ? 'A category with this slug already exists'
+        : 'A category with this name already exists here'
+    });
+  }
+
+  res.status(500).json({
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// Check and apply a new parent (null/'' makes it top-level)
+const applyParent = async (category, parent) => {
+  if (parent === null || parent === '') {
+    category.parent = null;
+    return null;
+  }
+
+  if (!mongoose.isValidObjectId(parent) || !(await Category.exists({ _id: parent }))) {
+    return 'Parent category not found';
+  }
+
+  if (await createsCycle(category._id, parent)) {
+    return 'A category cannot be placed under itself or one of its subcategories';
+  }
+
+  category.parent = parent;
+  return null;
+};
+
+// @desc    Get the full category tree with product counts
+// @route   GET /api/categories
+// @access  Public
+const getCategoryTree = async (req, res) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.find({}).lean(),
+      Product.aggregate([
+        { $match: { ...Product.publicFilter(), categoryId: { $ne: null } } },
+        { $group: { _id: '$categoryId', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const productCounts = new Map(counts.map(c => [c._id.toString(), c.count]));
+    res.json(buildCategoryTree(categories, productCounts));
+  } catch (error) {
+    console.error('Get category tree error:', error);
+    handleCategoryError(res, error, 'Error fetching categories');
+  }
+};
+
+// @desc    Get one category with its breadcrumb and direct subcategories
+// @route   GET /api/categories/:slug
+// @access  Public
+const getCategoryBySlug = async (req, res) => {
+  try {
+    const category = await Category.findOne({ slug: String(req.params.slug).toLowerCase() });
+
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const [ancestors, children] = await Promise.all([
+      getAncestors(category),
+      Category.find({ parent: category._id }).sort({ order: 1, name: 1 }).select('name slug image order')
+    ]);
+
+    res.json({ ...category.toObject(), ancestors, children });
+  } catch (error) {
+    console.error('Get category error:', error);
+    handleCategoryError(res, error, 'Error fetching category');
+  }
+};
+
+// @desc    Create a category
+// @route   POST /api/categories
+// @access  Private/Admin
+const createCategory = async (req, res) => {
+  try {
+    if (!req.body.name || !String(req.body.name).trim()) {
+      return res.status(400).json({ message: 'Please add a category name' });
+    }
+
+    const category = new Category();
+    CATEGORY_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        category[field] = req.body[field];
+      }
+    });
+
+    if (req.body.parent !== undefined) {
+      const invalid = await applyParent(category, req.body.parent);
+      if (invalid) {
+        return res.status(400).json({ message: invalid });
+      }
+    }
+
+    category.slug = req.body.slug
+      ? slugify(req.body.slug)
+      : await uniqueSlug(Category, category.name, { excludeId: category._id });
+
+    if (!category.slug) {
+      return res.status(400).json({ message: 'Slug must contain letters or numbers' });
+    }
+
+    const createdCategory = await category.save();
+    res.status(201).json(createdCategory);
+  } catch (error) {
+    console.error('Create category error:', error);
+    handleCategoryError(res, error, 'Server error creating category');
+  }
+};
+
+// @desc    Update a category (renames are copied onto its products)
+// @route   PUT /api/categories/:id
+// @access  Private/Admin
+const updateCategory = async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const previousName = category.name;
+
+    CATEGORY_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        category[field] = req.body[field];
+      }
+    });
+
+    if (req.body.parent !== undefined) {
+      const invalid = await applyParent(category, req.body.parent);
+      if (invalid) {
+        return res.status(400).json({ message: invalid });
+      }
+    }
+
+    if (req.body.slug !== undefined) {
+      category.slug = slugify(req.body.slug);
+      if (!category.slug) {
+        return res.status(400).json({ message: 'Slug must contain letters or numbers' });
+      }
+    }
+
+    const updatedCategory = await category.save();
+
+    // Products keep the category name for search and listings
+    if (updatedCategory.name !== previousName) {
+      await Product.updateMany({ categoryId: updatedCategory._id }, { $set: { category: updatedCategory.name } });
+    }
+
+    res.json(updatedCategory);
+  } catch (error) {
+    console.error('Update category error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+    handleCategoryError(res, error, 'Server error updating category');
+  }
+};
+
+// @desc    Delete a category (only when nothing is filed under it)
+// @route   DELETE /api/categories/:id
+// @access  Private/Admin
+const deleteCategory = async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const [hasChildren, productCount] = await Promise.all([
+      Category.exists({ parent: category._id }),
+      Product.countDocuments({ categoryId: category._id })
+    ]);
+
+    if (hasChildren) {
+      return res.status(400).json({ message: 'Move or delete its subcategories first' });
+    }
+    if (productCount > 0) {
+      return res.status(400).json({
+        message: `${productCount} product(s) are still in this category. Move them first`
+      });
+    }
+
+    await category.deleteOne();
+    res.json({ success: true, message: 'Category removed successfully' });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+    handleCategoryError(res, error, 'Server error deleting category');
+  }
+};
+
+module.exports = {
+  getCategoryTree,
+  getCategoryBySlug,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+};
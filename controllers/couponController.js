@@ -0,0 +1,195 @@
+const Coupon = require('../models/Coupon');
+const { buildOrderItems, calcPrices } = require('../utils/orderPricing');
+const { applyCoupon } = require('../utils/coupons');
+
+// Fields an admin may set on a coupon
+const COUPON_FIELDS = [
+  'code', 'description', 'type', 'value', 'maxDiscount', 'minCartValue',
+  'categories', 'products', 'startsAt', 'expiresAt', 'usageLimit',
+  'perUserLimit', 'isActive'
+];
+
+// Type-specific rules the schema cannot express on its own
+const validateCouponValue = (coupon) => {
+  if (coupon.type === 'percentage' && !(coupon.value > 0 && coupon.value <= 100)) {
+    return 'Percentage must be greater than 0 and at most 100';
+  }
+  if (coupon.type === 'flat' && !(coupon.value > 0)) {
+    return 'Flat discount must be greater than 0';
+  }
+  if (coupon.startsAt && coupon.expiresAt && coupon.startsAt >= coupon.expiresAt) {
+    return 'Coupon must start before it expires';
+  }
+  return null;
+};
+
+const handleCouponError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: messages
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'A coupon with this code already exists' });
+  }
+
+  res.status(500).json({
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// @desc    Check a coupon against a cart and preview the totals
+// @route   POST /api/coupons/validate
+// @access  Public (per-user limits are checked when logged in)
+const validateCoupon = async (req, res) => {
+  try {
+    const { code, orderItems } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: 'Please enter a coupon code' });
+    }
+
+    const pricedItems = await buildOrderItems(orderItems);
+    const applied = await applyCoupon(code, { user: req.user, orderItems: pricedItems });
+
+    res.json({
+      valid: true,
+      code: applied.coupon.code,
+      type: applied.coupon.type,
+      description: applied.coupon.description,
+      discount: applied.discount,
+      freeShipping: applied.freeShipping,
+      prices: calcPrices(pricedItems, applied)
+    });
+  } catch (error) {
+    console.error('Validate coupon error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ valid: false, message: error.message });
+    }
+    res.status(500).json({ message: 'Error validating coupon' });
+  }
+};
+
+// @desc    Get all coupons
+// @route   GET /api/coupons
+// @access  Private/Admin
+const getCoupons = async (req, res) => {
+  try {
+    const coupons = await Coupon.find({}).sort({ createdAt: -1 });
+    res.json(coupons);
+  } catch (error) {
+    handleCouponError(res, error, 'Error fetching coupons');
+  }
+};
+
+// @desc    Get coupon by ID
+// @route   GET /api/coupons/:id
+// @access  Private/Admin
+const getCouponById = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    res.json(coupon);
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+    handleCouponError(res, error, 'Error fetching coupon');
+  }
+};
+
+// @desc    Create a coupon
+// @route   POST /api/coupons
+// @access  Private/Admin
+const createCoupon = async (req, res) => {
+  try {
+    const coupon = new Coupon({ user: req.user._id });
+    COUPON_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        coupon[field] = req.body[field];
+      }
+    });
+
+    const invalid = validateCouponValue(coupon);
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    const createdCoupon = await coupon.save();
+    res.status(201).json(createdCoupon);
+  } catch (error) {
+    console.error('Create coupon error:', error);
+    handleCouponError(res, error, 'Server error creating coupon');
+  }
+};
+
+// @desc    Update a coupon
+// @route   PUT /api/coupons/:id
+// @access  Private/Admin
+const updateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    COUPON_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        coupon[field] = req.body[field];
+      }
+    });
+
+    const invalid = validateCouponValue(coupon);
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    const updatedCoupon = await coupon.save();
+    res.json(updatedCoupon);
+  } catch (error) {
+    console.error('Update coupon error:', error);
+    handleCouponError(res, error, 'Server error updating coupon');
+  }
+};
+
+// @desc    Delete a coupon
+// @route   DELETE /api/coupons/:id
+// @access  Private/Admin
+const deleteCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    // Orders keep their own copy of the discount line, so this is safe
+    await coupon.deleteOne();
+    res.json({ success: true, message: 'Coupon removed successfully' });
+  } catch (error) {
+    console.error('Delete coupon error:', error);
+    handleCouponError(res, error, 'Server error deleting coupon');
+  }
+};
+
+module.exports = {
+  validateCoupon,
+  getCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+};
@@ -1,4 +1,18 @@
+const mongoose = require('mongoose');
+const razorpay = require('../config/razorpay');
 const Order = require('../models/Order');
+const ReturnRequest = require('../models/ReturnRequest');
+const httpError = require('../utils/httpError');
+const { buildOrderItems, calcPrices, assertClientTotals } = require('../utils/orderPricing');
+const { STOCK_RESERVE_ON, reserveOrderStock, releaseOrderStock } = require('../utils/inventory');
+const { markOrderPaid, toPaise } = require('../utils/orderPayment');
+const { resolveRefund, returnedQtyByItem } = require('../utils/orderRefunds');
+const { applyStatusChange } = require('../utils/orderStatus');
+const { applyCoupon, redeemCoupon, releaseCoupon } = require('../utils/coupons');
+const { resolveShipmentItems, applyTrackingEvent } = require('../utils/orderShipments');
+const { checkoutVerificationError } = require('../utils/verification');
+const { shippingAddressFromBook } = require('../utils/addressBook');
+const { hasPermission } = require('../utils/permissions');
 
 // @desc    Create new order
 // @route   POST /api/orders
@@ -10,33 +24,81 @@ const createOrder = async (req, res) => {
     const {
       orderItems,
       shippingAddress,
+      shippingAddressId,
       paymentMethod,
       itemsPrice,
+      discountPrice,
       taxPrice,
       shippingPrice,
       totalPrice,
+      couponCode,
     } = req.body;
 
     if (!orderItems || orderItems.length === 0) {
       return res.status(400).json({ message: 'No order items' });
     }
 
+    // Stores can require a confirmed email/phone before checkout
+    // (CHECKOUT_REQUIRES_VERIFICATION)
+    const unverified = checkoutVerificationError(req.user);
+    if (unverified) {
+      return res.status(403).json(unverified);
+    }
+
+    // A saved address from the address book can stand in for a full address
+    const deliverTo = shippingAddressId
+      ? shippingAddressFromBook(req.user, shippingAddressId)
+      : shippingAddress;
+
+    // Never trust client prices: rebuild every line and total from the catalog
+    const pricedItems = await buildOrderItems(orderItems);
+    const applied = couponCode
+      ? await applyCoupon(couponCode, { user: req.user, orderItems: pricedItems })
+      : null;
+    const prices = calcPrices(pricedItems, applied || undefined);
+    assertClientTotals({ itemsPrice, discountPrice, taxPrice, shippingPrice, totalPrice }, prices);
+
     const order = new Order({
       user: req.user._id,
-      orderItems,
-      shippingAddress,
+      orderItems: pricedItems,
+      shippingAddress: deliverTo,
       paymentMethod,
-      itemsPrice,
-      taxPrice,
-      shippingPrice,
-      totalPrice,
+      ...prices,
+      coupon: applied
+        ? {
+            couponId: applied.coupon._id,
+            code: applied.coupon.code,
+            type: applied.coupon.type,
+            value: applied.coupon.value,
+            discount: prices.discountPrice,
+          }
+        : undefined,
       isPaid: false,
+      statusHistory: [{
+        status: 'Processing',
+        changedBy: req.user._id,
+        actorRole: req.user.role,
+        note: 'Order placed',
+      }],
+    });
+
+    // Stock and order are written together: either both succeed or neither does
+    const createdOrder = await mongoose.connection.transaction(async (session) => {
+      if (STOCK_RESERVE_ON === 'order') {
+        await reserveOrderStock(order, session);
+      }
+      if (applied) {
+        await redeemCoupon(applied.coupon, req.user._id, session);
+      }
+      return order.save({ session });
     });
 
-    const createdOrder = await order.save();
     res.status(201).json(createdOrder);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res.status(error.statusCode || 500).json({
+      message: error.message,
+      ...error.details,
+    });
   }
 };
 
@@ -55,11 +117,11 @@ const getOrderById = async (req, res) => {
     );
 
     if (order) {
-      // THE FIX IS HERE: Check for req.user.role === 'admin'
-      const isAdmin = req.user.role === 'admin';
+      // Staff who handle orders, or the customer who placed it
+      const isStaff = hasPermission(req.user, 'orders:read');
       const isOrderOwner = order.user._id.toString() === req.user._id.toString();
 
-      if (isAdmin || isOrderOwner) {
+      if (isStaff || isOrderOwner) {
         res.json(order);
       } else {
         res.status(403).json({ message: 'Not authorized to view this order' });
@@ -87,45 +149,69 @@ const getMyOrders = async (req, res) => {
   }
 };
 
-// @desc    Update order to paid (Razorpay verification success)
+// Marking orders paid by hand skips Razorpay entirely, so it only exists
+// outside production and only when switched on (ALLOW_MANUAL_PAYMENT=true)
+const manualPaymentAllowed = () =>
+  process.env.ALLOW_MANUAL_PAYMENT === 'true' && process.env.NODE_ENV !== 'production';
+
+// @desc    Mark an order paid without Razorpay (development and testing only)
+//          Real payments go through /api/payment/verification and the webhook.
+//          Manual payments cannot be refunded and are left out of revenue.
 // @route   PUT /api/orders/:id/pay
-// @access  Private
+// @access  Private/Admin (orders:update), development only
 const updateOrderToPaid = async (req, res) => {
   try {
-    const order = await Order.findById(req.params.id);
-
-    if (!order) {
-      return res.status(404).json({ message: 'Order not found' });
+    if (!manualPaymentAllowed()) {
+      return res.status(403).json({ message: 'Manual payment is disabled' });
     }
 
-    order.isPaid = true;
-    order.paidAt = new Date();
+    const updatedOrder = await mongoose.connection.transaction(async (session) => {
+      const order = await Order.findById(req.params.id).session(session);
 
-    // Keep status valid according to enum
-    order.orderStatus = 'Processing';
+      if (!order) {
+        throw httpError(404, 'Order not found');
+      }
+      if (order.isPaid) {
+        throw httpError(400, 'Order is already paid');
+      }
+      if (order.orderStatus === 'Cancelled') {
+        throw httpError(400, 'Cancelled orders cannot be paid');
+      }
 
-    // Schema-compatible payment result
-    order.paymentResult = {
-      id: req.body.razorpay_payment_id || 'DEV_PAYMENT_ID',
-      status: 'success',
-      update_time: new Date().toISOString(),
-      email_address: req.user?.email || 'dev@example.com',
-    };
+      await markOrderPaid(order, {
+        id: `MANUAL-${order._id}`,
+        status: 'manual',
+        update_time: new Date().toISOString(),
+        email_address: req.user.email,
+      }, session);
+
+      return order.save({ session });
+    });
 
-    const updatedOrder = await order.save();
     res.json(updatedOrder);
   } catch (error) {
     console.error('updateOrderToPaid error:', error);
-    res.status(500).json({ message: error.message });
+    res.status(error.statusCode || 500).json({ message: error.message });
   }
 };
 
 // @desc    Get all orders
+//          ?stockShortage=true lists paid orders still waiting for stock
+//          ?refundDue=true lists orders paid after cancelling, not yet refunded
 // @route   GET /api/orders
 // @access  Private/Admin
 const getAllOrders = async (req, res) => {
   try {
-    const orders = await Order.find({})
+    const filter = {};
+    if (req.query.stockShortage === 'true') {
+      filter['stockShortage.flaggedAt'] = { $ne: null };
+    }
+    if (req.query.refundDue === 'true') {
+      filter['refundDue.flaggedAt'] = { $ne: null };
+      filter.$expr = { $lt: [{ $ifNull: ['$amountRefunded', 0] }, '$totalPrice'] };
+    }
+
+    const orders = await Order.find(filter)
       .populate('user', 'name email')
       .sort({ createdAt: -1 });
 
@@ -136,34 +222,259 @@ const getAllOrders = async (req, res) => {
 };
 
 
+// @desc    Move an order to a new status along with its stock and coupon
+//          Shared by status updates and shipments; runs inside a transaction.
+const changeOrderStatus = async (order, status, { actor, note }, session) => {
+  // Rejects moves the state machine does not allow (e.g. Delivered -> Processing)
+  applyStatusChange(order, status, { actor, note });
+
+  const hasShortage = Boolean(order.stockShortage && order.stockShortage.flaggedAt);
+
+  // An order paid while out of stock ships only once its units are back
+  if (status === 'Shipped' && hasShortage && !order.stockReserved) {
+    await reserveOrderStock(order, session);
+    order.stockShortage = undefined;
+  }
+
+  if (status === 'Cancelled') {
+    // Cancelled orders give their units back to the catalog
+    if (order.stockReserved) {
+      await releaseOrderStock(order, session);
+    }
+
+    // ...and their coupon use back to the customer
+    if (order.coupon && order.coupon.couponId) {
+      await releaseCoupon(order.coupon.couponId, order.user, session);
+    }
+
+    // Nothing is waiting for stock any more; the payment is refunded instead
+    if (hasShortage) {
+      order.stockShortage = undefined;
+    }
+  }
+};
+
 // @desc    Update order status
 // @route   PUT /api/orders/:id/status
 // @access  Private/Admin
 const updateOrderStatus = async (req, res) => {
   try {
-    const { status } = req.body;
+    const { status, note } = req.body;
+
+    const updatedOrder = await mongoose.connection.transaction(async (session) => {
+      const order = await Order.findById(req.params.id).session(session);
+      if (!order) {
+        throw httpError(404, 'Order not found');
+      }
+
+      await changeOrderStatus(order, status, { actor: req.user, note }, session);
+
+      return order.save({ session });
+    });
+
+    res.json(updatedOrder);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+};
+
+
+
+
+// @desc    Attach a courier shipment to an order
+// @route   POST /api/orders/:id/shipments
+// @access  Private/Admin
+const addOrderShipment = async (req, res) => {
+  try {
+    const { carrier, trackingNumber, trackingUrl, items } = req.body;
+
+    if (!carrier || !trackingNumber) {
+      return res.status(400).json({ message: 'Carrier and tracking number are required' });
+    }
+
+    const updatedOrder = await mongoose.connection.transaction(async (session) => {
+      const order = await Order.findById(req.params.id).session(session);
+      if (!order) {
+        throw httpError(404, 'Order not found');
+      }
+
+      if (!['Processing', 'Shipped', 'Out for Delivery'].includes(order.orderStatus)) {
+        throw httpError(400, `Cannot add a shipment to a ${order.orderStatus} order`);
+      }
+
+      order.shipments.push({
+        carrier: String(carrier).trim(),
+        trackingNumber: String(trackingNumber).trim(),
+        trackingUrl,
+        items: resolveShipmentItems(order, items),
+        events: [{ status: 'Shipped', description: 'Handed over to courier' }],
+      });
+
+      // The first shipment moves the order along (and reserves stock for
+      // an order paid while out of stock, or fails with 409)
+      if (order.orderStatus === 'Processing') {
+        await changeOrderStatus(order, 'Shipped', {
+          actor: req.user,
+          note: `${carrier} (${trackingNumber})`,
+        }, session);
+      }
+
+      return order.save({ session });
+    });
+
+    res.status(201).json(updatedOrder);
+  } catch (error) {
+    console.error('Add shipment error:', error);
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+};
+
+// @desc    Add a tracking event to a shipment
+// @route   POST /api/orders/:id/shipments/:shipmentId/events
+// @access  Private/Admin
+const addShipmentEvent = async (req, res) => {
+  try {
+    const { status, description, location, occurredAt } = req.body;
 
     const order = await Order.findById(req.params.id);
     if (!order) {
       return res.status(404).json({ message: 'Order not found' });
     }
 
-    order.orderStatus = status;
+    const shipment = order.shipments.id(req.params.shipmentId);
+    if (!shipment) {
+      return res.status(404).json({ message: 'Shipment not found' });
+    }
 
-    if (status === 'Delivered') {
-      order.isDelivered = true;
-      order.deliveredAt = new Date();
+    const eventDate = occurredAt ? new Date(occurredAt) : new Date();
+    if (Number.isNaN(eventDate.getTime())) {
+      return res.status(400).json({ message: 'Invalid occurredAt date' });
     }
 
+    // A 'Delivered' event moves the order to Delivered once every parcel has arrived
+    applyTrackingEvent(order, shipment, {
+      status,
+      description,
+      location,
+      occurredAt: eventDate,
+    });
+
     const updatedOrder = await order.save();
-    res.json(updatedOrder);
+    res.status(201).json(updatedOrder);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    console.error('Add shipment event error:', error);
+    res.status(error.statusCode || 500).json({ message: error.message });
   }
 };
 
+// @desc    Refund an order (full or partial) through Razorpay
+//          Cancelled orders, or the items of closed return requests
+// @route   POST /api/orders/:id/refunds
+// @access  Private/Admin
+const createOrderRefund = async (req, res) => {
+  try {
+    const { amount, reason, items } = req.body;
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ message: 'A refund reason is required' });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    // Orders still in progress are refunded only for what came back
+    const returnedQty = order.orderStatus === 'Cancelled'
+      ? undefined
+      : returnedQtyByItem(await ReturnRequest.find({ order: order._id, type: 'return', status: 'Closed' }));
 
+    const refund = resolveRefund(order, { amount, items, returnedQty });
+    const refundId = new mongoose.Types.ObjectId();
 
+    // Claim the amount first: the condition fails if another refund got there
+    // before us, so the total can never go over what was paid. Orders saved
+    // before refunds existed have no amountRefunded yet.
+    const claimed = await Order.findOneAndUpdate(
+      {
+        _id: order._id,
+        $or: [
+          { amountRefunded: { $exists: false } },
+          { amountRefunded: { $lte: order.totalPrice - refund.amount + 0.001 } },
+        ],
+      },
+      {
+        $inc: { amountRefunded: refund.amount },
+        $push: {
+          refunds: {
+            _id: refundId,
+            amount: refund.amount,
+            reason: String(reason).trim(),
+            items: refund.items,
+            status: 'pending',
+            refundedBy: req.user._id,
+          },
+        },
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(409).json({ message: 'Refund exceeds the amount paid' });
+    }
+
+    let razorpayRefund;
+    try {
+      razorpayRefund = await razorpay.payments.refund(order.paymentResult.id, {
+        amount: toPaise(refund.amount),
+        notes: {
+          orderId: order._id.toString(),
+          refundId: refundId.toString(),
+          reason: String(reason).trim(),
+        },
+      });
+    } catch (razorpayError) {
+      console.error('Razorpay refund error:', razorpayError);
+
+      // Give the claimed amount back so the refund can be retried
+      const failureReason =
+        (razorpayError.error && razorpayError.error.description) || 'Refund failed';
+      await Order.updateOne(
+        { _id: order._id, 'refunds._id': refundId },
+        {
+          $inc: { amountRefunded: -refund.amount },
+          $set: {
+            'refunds.$.status': 'failed',
+            'refunds.$.failureReason': failureReason,
+          },
+        }
+      );
+
+      return res.status(502).json({ message: `Refund failed: ${failureReason}` });
+    }
+
+    const processed = razorpayRefund.status === 'processed';
+    const update = {
+      'refunds.$.razorpayRefundId': razorpayRefund.id,
+      'refunds.$.status': processed ? 'processed' : 'pending',
+    };
+    if (processed) {
+      update['refunds.$.processedAt'] = new Date();
+    }
+
+    // The webhook may already have marked it processed; never move it back
+    await Order.updateOne(
+      { _id: order._id, refunds: { $elemMatch: { _id: refundId, status: 'pending' } } },
+      { $set: update }
+    );
+
+    const updatedOrder = await Order.findById(order._id);
+    res.status(201).json(updatedOrder);
+  } catch (error) {
+    console.error('Create refund error:', error);
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+};
 
 module.exports = {
   createOrder,
@@ -172,4 +483,7 @@ module.exports = {
   updateOrderToPaid,
   getAllOrders,
   updateOrderStatus,
+  createOrderRefund,
+  addOrderShipment,
+  addShipmentEvent,
 };
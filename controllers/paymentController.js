@@ -1,31 +1,71 @@
-const Razorpay = require('razorpay');
 const crypto = require('crypto');
+const mongoose = require('mongoose');
+const razorpay = require('../config/razorpay');
 const Order = require('../models/Order');
-
-// Initialize Razorpay
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET,
-});
+const httpError = require('../utils/httpError');
+const { markOrderPaid, recordPaymentAttempt, toPaise, isRefundDue } = require('../utils/orderPayment');
+const {
+  verifyWebhookSignature,
+  getEventId,
+  processWebhookEvent,
+} = require('../utils/razorpayWebhook');
 
 // @desc    1. Create Razorpay Order (Initiate Payment)
 // @route   POST /api/payment/checkout
 // @access  Private
 const checkout = async (req, res) => {
-  const { amount } = req.body; // Amount should be passed from frontend
+  const { orderId } = req.body;
 
-  const options = {
-    amount: Number(amount * 100), // Razorpay accepts smallest currency unit (paise). 500 INR = 50000 paise
-    currency: "INR",
-    receipt: `receipt_order_${Date.now()}`,
-  };
+  if (!mongoose.isValidObjectId(orderId)) {
+    return res.status(400).json({ success: false, message: "A valid orderId is required" });
+  }
 
   try {
-    const order = await razorpay.orders.create(options);
-    
+    const order = await Order.findById(orderId);
+
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+
+    if (order.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ success: false, message: "Not authorized to pay for this order" });
+    }
+
+    if (order.isPaid || order.orderStatus === 'Cancelled') {
+      return res.status(400).json({ success: false, message: "This order cannot be paid" });
+    }
+
+    // The amount always comes from our stored total, never from the client
+    const amount = toPaise(order.totalPrice);
+
+    // Re-opening checkout keeps paying through the same Razorpay order
+    let razorpayOrder;
+    if (order.razorpayOrderId) {
+      razorpayOrder = await razorpay.orders.fetch(order.razorpayOrderId);
+    }
+
+    if (!razorpayOrder || razorpayOrder.amount !== amount) {
+      razorpayOrder = await razorpay.orders.create({
+        amount, // Razorpay accepts smallest currency unit (paise). 500 INR = 50000 paise
+        currency: "INR",
+        receipt: order._id.toString(),
+        // Lets the webhook find our Order even if the browser never calls back
+        notes: { orderId: order._id.toString() },
+      });
+
+      order.razorpayOrderId = razorpayOrder.id;
+      recordPaymentAttempt(order, {
+        razorpayOrderId: razorpayOrder.id,
+        amount: order.totalPrice,
+        status: 'created',
+        source: 'checkout',
+      });
+      await order.save();
+    }
+
     res.status(200).json({
       success: true,
-      order,
+      order: razorpayOrder,
     });
   } catch (error) {
     console.error("Razorpay Error:", error);
@@ -50,36 +90,91 @@ const paymentVerification = async (req, res) => {
 
   const isAuthentic = expectedSignature === razorpay_signature;
 
-  if (isAuthentic) {
-    // 1. Find the Order in OUR database
-    // (This assumes you created the order in DB *before* payment with status "Not Paid")
-    // If you prefer creating the DB order *after* payment, you can do that here.
-    
-    const order = await Order.findById(orderId);
-    
-    if(order) {
-        order.isPaid = true;
-        order.paidAt = Date.now();
-        order.paymentResult = {
-            id: razorpay_payment_id,
-            status: 'success',
-            update_time: Date.now(),
-            email_address: req.user.email // From auth middleware
-        };
-        
-        await order.save();
+  if (!isAuthentic) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid Signature",
+    });
+  }
+
+  try {
+    const order = await mongoose.connection.transaction(async (session) => {
+      // 1. Find the Order in OUR database through the Razorpay order it was bound to
+      const order = await Order.findOne({ razorpayOrderId: razorpay_order_id }).session(session);
+
+      if (!order || (orderId && order._id.toString() !== String(orderId))) {
+        throw httpError(400, "Payment does not belong to this order");
+      }
+
+      if (order.user.toString() !== req.user._id.toString()) {
+        throw httpError(403, "Not authorized to pay for this order");
+      }
+
+      recordPaymentAttempt(order, {
+        razorpayOrderId: razorpay_order_id,
+        razorpayPaymentId: razorpay_payment_id,
+        amount: order.totalPrice,
+        status: 'succeeded',
+        source: 'verification',
+      });
+
+      if (!order.isPaid) {
+        await markOrderPaid(order, {
+          id: razorpay_payment_id,
+          status: 'success',
+          update_time: new Date().toISOString(),
+          email_address: req.user.email // From auth middleware
+        }, session);
+      }
+
+      return order.save({ session });
+    });
+
+    // The order was cancelled while checkout was open: the payment is kept
+    // on record for a refund, but nothing will ship
+    if (isRefundDue(order)) {
+      return res.status(409).json({
+        success: false,
+        message: "This order was cancelled. Your payment has been recorded and will be refunded",
+        order,
+      });
     }
 
     res.status(200).json({
       success: true,
-      message: "Payment verified and Order Updated"
+      message: "Payment verified and Order Updated",
+      order,
     });
-  } else {
-    res.status(400).json({
+  } catch (error) {
+    console.error("Payment verification error:", error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: "Invalid Signature",
+      message: error.message,
     });
   }
 };
 
-module.exports = { checkout, paymentVerification };
\ No newline at end of file
+// @desc    3. Razorpay Webhook (server-to-server payment updates)
+// @route   POST /api/payment/webhook
+// @access  Public (authenticated by X-Razorpay-Signature)
+const razorpayWebhook = async (req, res) => {
+  const signature = req.headers["x-razorpay-signature"];
+
+  if (!verifyWebhookSignature(req.rawBody, signature, process.env.RAZORPAY_WEBHOOK_SECRET)) {
+    return res.status(400).json({ success: false, message: "Invalid Signature" });
+  }
+
+  const eventId = getEventId(req.headers["x-razorpay-event-id"], req.rawBody);
+
+  try {
+    const result = await processWebhookEvent(eventId, req.body);
+
+    // Always 200 for handled or duplicate events, otherwise Razorpay keeps retrying
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    console.error("Razorpay Webhook Error:", error);
+    res.status(500).json({ success: false, message: "Webhook processing failed" });
+  }
+};
+
+module.exports = { checkout, paymentVerification, razorpayWebhook };
\ No newline at end of file
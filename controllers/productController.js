@@ -1,41 +1,106 @@
 const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { buildVariantsFromSizes, normalizeVariants, keepStoredStock } = require('../utils/variants');
+const {
+  buildProductFilters,
+  parseListingOptions,
+  buildFacetStage,
+  formatPriceRanges,
+} = require('../utils/productFilters');
+const { escapeRegex, buildSearchFilter } = require('../utils/productSearch');
+const { resolveCategory, getDescendantIds, getAncestors } = require('../utils/categories');
+const { slugify } = require('../utils/slug');
+const { hasPermission } = require('../utils/permissions');
+const {
+  PRODUCT_STATUSES,
+  validateNewProduct,
+  normalizeColors,
+  checkSlugAvailable,
+  applyPublishing,
+} = require('../utils/productInput');
+
+// Staff who can edit products also see drafts, archived and scheduled ones
+const isCatalogStaff = (req) => hasPermission(req.user, 'products:update');
+
+// Which products this caller may see. Customers get live products only;
+// catalog staff get everything except deleted products (unless ?includeDeleted=true),
+// optionally narrowed with ?status=draft|published|archived.
+const catalogScope = (req) => {
+  if (!isCatalogStaff(req)) {
+    return Product.publicFilter();
+  }
 
-// @desc    Fetch all products
-// @route   GET /api/products?keyword=satin&pageNumber=1
+  const scope = {};
+  if (req.query.includeDeleted !== 'true') {
+    scope.deletedAt = null;
+  }
+  if (PRODUCT_STATUSES.includes(req.query.status)) {
+    scope.status = req.query.status;
+  }
+  return scope;
+};
+
+// AND the caller's scope onto a filter
+const scoped = (req, filter = {}) => ({ $and: [catalogScope(req), filter] });
+
+// Product detail as customers see it
+const toPublicProduct = (product) => {
+  // Reviews waiting for moderation or hidden by an admin are not public
+  const data = product.toJSON();
+  data.reviews = data.reviews.filter(review => review.status === 'approved');
+  return data;
+};
+
+// @desc    Fetch all products with filters, sorting and sidebar facets
+// @route   GET /api/products?keyword=satin&category=Nighty,Pyjama&brand=&size=M,XL
+//            &minPrice=&maxPrice=&minRating=4&inStock=true&sort=price_asc
+//            &pageNumber=1&pageSize=24
 // @access  Public
 const getProducts = async (req, res) => {
   try {
-    const pageSize = 10;
-    const page = Number(req.query.pageNumber) || 1;
-
-    // THE FIX IS HERE: Using MongoDB $or operator to search multiple fields
-    const keyword = req.query.keyword
-      ? {
-          $or: [
-            { name: { $regex: req.query.keyword, $options: 'i' } }, // Matches Name
-            { description: { $regex: req.query.keyword, $options: 'i' } }, // Matches Description
-            { category: { $regex: req.query.keyword, $options: 'i' } }, // Matches Category
-            { sizes: { $regex: req.query.keyword, $options: 'i' } } // Matches inside Sizes array
-          ]
-        }
-      : {};
+    // Ranked full-text search (synonyms and typo fixes included)
+    const search = await buildSearchFilter(req.query.keyword);
+    const { sort, sortSpec, page, pageSize } = parseListingOptions(req.query, { isSearch: Boolean(search) });
+    const { filter: facetFilter, matchWithout } = buildProductFilters(req.query);
+    const filter = scoped(req, search ? { ...search.filter, ...facetFilter } : facetFilter);
+
+    let query = Product.find(filter);
+    if (search) {
+      query = query.select({ score: { $meta: 'textScore' } });
+    }
 
-    // Use the keyword object directly
-    const count = await Product.countDocuments(keyword);
-    
-    // Fetch products matching any of the above fields
-    const products = await Product.find(keyword)
-      .limit(pageSize)
-      .skip(pageSize * (page - 1))
-      .sort({ createdAt: -1 }); // Sort by newest first
+    const [count, products, [facets]] = await Promise.all([
+      Product.countDocuments(filter),
+      query
+        .sort(sortSpec)
+        .limit(pageSize)
+        .skip(pageSize * (page - 1)),
+      Product.aggregate([
+        ...(search ? [{ $match: search.filter }] : []),
+        { $match: catalogScope(req) },
+        buildFacetStage(matchWithout)
+      ])
+    ]);
 
     res.json({ 
-      products, 
+      products: products.map(toPublicProduct), 
       page, 
       pages: Math.ceil(count / pageSize),
-      total: count 
+      pageSize,
+      total: count,
+      sort,
+      didYouMean: search ? search.didYouMean : undefined,
+      facets: {
+        categories: facets.categories,
+        brands: facets.brands,
+        sizes: facets.sizes,
+        priceRanges: formatPriceRanges(facets.priceRanges)
+      }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Get products error:', error);
     res.status(500).json({ 
       message: 'Error fetching products',
@@ -48,10 +113,10 @@ const getProducts = async (req, res) => {
 // @access  Public
 const getProductById = async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id);
+    const product = await Product.findOne(scoped(req, { _id: req.params.id }));
 
     if (product) {
-      res.json(product);
+      res.json(toPublicProduct(product));
     } else {
       res.status(404).json({ message: 'Product not found' });
     }
@@ -68,6 +133,33 @@ const getProductById = async (req, res) => {
   }
 };
 
+// @desc    Fetch single product by slug (old slugs redirect to the current one)
+// @route   GET /api/products/slug/:slug
+// @access  Public
+const getProductBySlug = async (req, res) => {
+  try {
+    const slug = String(req.params.slug).toLowerCase();
+    const product = await Product.findOne(scoped(req, { slug }));
+
+    if (product) {
+      return res.json(toPublicProduct(product));
+    }
+
+    const renamed = await Product.findOne(scoped(req, { previousSlugs: slug })).select('slug');
+    if (renamed) {
+      return res.redirect(301, `${req.baseUrl}/slug/${renamed.slug}`);
+    }
+
+    res.status(404).json({ message: 'Product not found' });
+  } catch (error) {
+    console.error('Get product by slug error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching product',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // @desc    Create a product (Admin only)
 // @route   POST /api/products
 // @access  Private/Admin
@@ -82,52 +174,24 @@ const createProduct = async (req, res) => {
       brand,
       category,
       countInStock,
-      sizes
+      sizes,
+      variants,
+      colors,
+      slug
     } = req.body;
 
-    // Validate required fields
-    const requiredFields = ['name', 'price', 'description', 'image', 'brand', 'category', 'sizes'];
-    const missingFields = requiredFields.filter(field => !req.body[field]);
-    
-    if (missingFields.length > 0) {
-      return res.status(400).json({ 
-        message: `Please provide all required fields: ${missingFields.join(', ')}` 
-      });
+    const invalid = validateNewProduct(req.body);
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
     }
 
-    // Validate price is positive
-    if (parseFloat(price) <= 0) {
+    if (colors && colors.length > 0 && !variants) {
       return res.status(400).json({ 
-        message: 'Price must be greater than 0' 
+        message: 'Products with colours need variants (one per size and colour)' 
       });
     }
 
-    // Validate stock is non-negative
-    if (parseInt(countInStock) < 0) {
-      return res.status(400).json({ 
-        message: 'Stock count cannot be negative' 
-      });
-    }
-
-    // Validate image structure
-    if (!image.original || !image.thumbnail || !image.public_id) {
-      return res.status(400).json({ 
-        message: 'Invalid image structure. Please upload images properly.' 
-      });
-    }
-
-    // Validate additionalImages structure if provided
-    if (additionalImages.length > 0) {
-      const invalidAdditionalImages = additionalImages.filter(
-        img => !img.original || !img.thumbnail || !img.public_id
-      );
-      
-      if (invalidAdditionalImages.length > 0) {
-        return res.status(400).json({ 
-          message: 'Invalid additional images structure' 
-        });
-      }
-    }
+    const productCategory = await resolveCategory(category);
 
     const product = new Product({
       name: name.trim(),
@@ -136,14 +200,36 @@ const createProduct = async (req, res) => {
       image,
       additionalImages,
       brand: brand.trim(),
-      category,
+      category: productCategory.name,
+      categoryId: productCategory._id,
       countInStock: parseInt(countInStock) || 0,
       numReviews: 0,
       rating: 0,
-      sizes: Array.isArray(sizes) ? sizes : [sizes],
+      sizes: sizes ? (Array.isArray(sizes) ? sizes : [sizes]) : [],
       user: req.user._id
     });
 
+    // Without a slug, one is generated from the name on save
+    if (slug) {
+      product.slug = await checkSlugAvailable(slug, product._id);
+    }
+
+    // New products start as drafts unless a status is sent
+    const invalidPublishing = applyPublishing(product, req.body);
+    if (invalidPublishing) {
+      return res.status(400).json({ message: invalidPublishing });
+    }
+
+    if (colors !== undefined) {
+      product.colors = normalizeColors(colors);
+    }
+
+    // Every product is sold per variant; without explicit variants the
+    // stock count is split across the sizes
+    product.variants = variants
+      ? normalizeVariants(product._id, variants)
+      : buildVariantsFromSizes(product._id, product.sizes, product.countInStock);
+
     const createdProduct = await product.save();
     
     // Populate user info if needed
@@ -152,6 +238,10 @@ const createProduct = async (req, res) => {
     res.status(201).json(createdProduct);
   } catch (error) {
     console.error('Create product error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     
     // Handle validation errors
     if (error.name === 'ValidationError') {
@@ -165,7 +255,11 @@ const createProduct = async (req, res) => {
     // Handle duplicate key error
     if (error.code === 11000) {
       return res.status(400).json({ 
-        message: 'Product with this name already exists' 
+        message: error.keyPattern && error.keyPattern['variants.sku']
+          ? 'A variant with this SKU already exists'
+          : error.keyPattern && error.keyPattern.slug
+            ? 'Another product already uses this slug'
+            : 'Product with this name already exists' 
       });
     }
     
@@ -190,7 +284,10 @@ const updateProduct = async (req, res) => {
       brand,
       category,
       countInStock,
-      sizes
+      sizes,
+      variants,
+      colors,
+      slug
     } = req.body;
 
     const product = await Product.findById(req.params.id);
@@ -199,8 +296,8 @@ const updateProduct = async (req, res) => {
       return res.status(404).json({ message: 'Product not found' });
     }
 
-    // Check if user is authorized (owner or admin)
-    if (product.user.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+    // Check if user is authorized (owner or catalog staff)
+    if (product.user.toString() !== req.user._id.toString() && !hasPermission(req.user, 'products:update')) {
       return res.status(403).json({ 
         message: 'Not authorized to update this product' 
       });
@@ -210,6 +307,22 @@ const updateProduct = async (req, res) => {
     if (name !== undefined) {
       product.name = name.trim();
     }
+
+    const invalidPublishing = applyPublishing(product, req.body);
+    if (invalidPublishing) {
+      return res.status(400).json({ message: invalidPublishing });
+    }
+
+    // The old slug is kept so existing links redirect to the new one
+    let claimedSlug = null;
+    if (slug !== undefined && slugify(slug) !== product.slug) {
+      claimedSlug = await checkSlugAvailable(slug, product._id);
+      if (product.slug) {
+        product.previousSlugs.addToSet(product.slug);
+      }
+      product.previousSlugs.pull(claimedSlug);
+      product.slug = claimedSlug;
+    }
     
     if (price !== undefined) {
       const priceValue = parseFloat(price);
@@ -230,10 +343,43 @@ const updateProduct = async (req, res) => {
     }
     
     if (category !== undefined) {
-      product.category = category;
+      const productCategory = await resolveCategory(category);
+      product.category = productCategory.name;
+      product.categoryId = productCategory._id;
     }
     
-    if (countInStock !== undefined) {
+    // Stock and sizes of a product with variants are managed per variant.
+    // Unchanged values (e.g. a full edit form) are let through.
+    const stockChanged = countInStock !== undefined && parseInt(countInStock) !== product.countInStock;
+    const sizesChanged = sizes !== undefined &&
+      JSON.stringify([...(sizes || [])].sort()) !== JSON.stringify([...product.sizes].sort());
+
+    if (product.variants.length > 0 && variants === undefined && (stockChanged || sizesChanged)) {
+      return res.status(400).json({ 
+        message: 'This product has variants. Update stock and sizes through variants instead' 
+      });
+    }
+
+    // Saved only if no order moved the stock since it was read here
+    const storedStock = product.countInStock;
+
+    if (variants !== undefined) {
+      const normalized = normalizeVariants(product._id, variants);
+      const stockEdited = keepStoredStock(product.variants, normalized, variants);
+      if (stockEdited.length > 0) {
+        return res.status(400).json({ 
+          message: `Update stock of existing variants through PUT /api/products/${product._id}/variants/:sku (${stockEdited.join(', ')})` 
+        });
+      }
+      product.variants = normalized;
+    }
+
+    // Variant colours are checked against these when the product is saved
+    if (colors !== undefined) {
+      product.colors = normalizeColors(colors);
+    }
+
+    if (countInStock !== undefined && product.variants.length === 0) {
       const stockValue = parseInt(countInStock);
       if (stockValue < 0) {
         return res.status(400).json({ 
@@ -277,7 +423,7 @@ const updateProduct = async (req, res) => {
     }
     
     // Update sizes if provided
-    if (sizes !== undefined) {
+    if (sizes !== undefined && product.variants.length === 0) {
       if (!Array.isArray(sizes) || sizes.length === 0) {
         return res.status(400).json({ 
           message: 'Sizes must be a non-empty array' 
@@ -286,7 +432,19 @@ const updateProduct = async (req, res) => {
       product.sizes = sizes;
     }
 
+    if (product.isModified('variants') || product.isModified('countInStock')) {
+      product.$where = { countInStock: storedStock };
+    }
+
     const updatedProduct = await product.save();
+
+    // A slug another product used to have now belongs to this one
+    if (claimedSlug) {
+      await Product.updateMany(
+        { _id: { $ne: product._id }, previousSlugs: claimedSlug },
+        { $pull: { previousSlugs: claimedSlug } }
+      );
+    }
     
     res.json({
       success: true,
@@ -295,6 +453,16 @@ const updateProduct = async (req, res) => {
     });
   } catch (error) {
     console.error('Update product error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
+    if (error.name === 'DocumentNotFoundError') {
+      return res.status(409).json({ 
+        message: 'Stock changed while updating, please reload the product and try again' 
+      });
+    }
     
     // Handle validation errors
     if (error.name === 'ValidationError') {
@@ -304,6 +472,14 @@ const updateProduct = async (req, res) => {
         errors: messages 
       });
     }
+
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        message: error.keyPattern && error.keyPattern.slug
+          ? 'Another product already uses this slug'
+          : 'A variant with this SKU already exists' 
+      });
+    }
     
     res.status(500).json({ 
       message: 'Server error updating product',
@@ -312,6 +488,103 @@ const updateProduct = async (req, res) => {
   }
 };
 
+// @desc    Update stock or price of one variant (Admin only)
+// @route   PUT /api/products/:id/variants/:sku
+// @access  Private/Admin
+const updateProductVariant = async (req, res) => {
+  try {
+    const { countInStock, price } = req.body;
+    const sku = req.params.sku.toUpperCase();
+
+    let stockValue;
+    if (countInStock !== undefined) {
+      stockValue = parseInt(countInStock);
+      if (Number.isNaN(stockValue) || stockValue < 0) {
+        return res.status(400).json({ 
+          message: 'Stock count cannot be negative' 
+        });
+      }
+    }
+
+    // null clears the override so the variant sells at the product price
+    const priceUpdate = {};
+    if (price !== undefined) {
+      if (price === null) {
+        priceUpdate.$unset = { 'variants.$.price': '' };
+      } else {
+        const priceValue = parseFloat(price);
+        if (!(priceValue > 0)) {
+          return res.status(400).json({ 
+            message: 'Price must be greater than 0' 
+          });
+        }
+        priceUpdate.$set = { 'variants.$.price': priceValue };
+      }
+    }
+
+    // Orders move variant stock with $inc, so the new count is written only
+    // if the variant still holds the count it was read with; the product
+    // total moves by the same difference.
+    let updated = false;
+    for (let attempt = 0; attempt < 3 && !updated; attempt++) {
+      const product = await Product.findById(req.params.id);
+
+      if (!product) {
+        return res.status(404).json({ message: 'Product not found' });
+      }
+
+      const variant = product.variants.find(v => v.sku === sku);
+
+      if (!variant) {
+        return res.status(404).json({ message: 'Variant not found' });
+      }
+
+      const variantMatch = { sku };
+      const update = { ...priceUpdate };
+      if (stockValue !== undefined) {
+        variantMatch.countInStock = variant.countInStock;
+        update.$set = { ...update.$set, 'variants.$.countInStock': stockValue };
+        update.$inc = { countInStock: stockValue - variant.countInStock };
+      }
+
+      // Nothing to change beyond confirming the variant exists
+      if (Object.keys(update).length === 0) {
+        updated = true;
+        break;
+      }
+
+      const result = await Product.updateOne(
+        { _id: product._id, variants: { $elemMatch: variantMatch } },
+        update
+      );
+      updated = result.matchedCount > 0;
+    }
+
+    if (!updated) {
+      return res.status(409).json({ 
+        message: 'Variant stock changed while updating, please try again' 
+      });
+    }
+
+    const updatedProduct = await Product.findById(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Variant updated successfully',
+      product: updatedProduct
+    });
+  } catch (error) {
+    console.error('Update variant error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    res.status(500).json({ 
+      message: 'Server error updating variant',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // @desc    Delete a product (Admin only)
 // @route   DELETE /api/products/:id
 // @access  Private/Admin
@@ -323,17 +596,18 @@ const deleteProduct = async (req, res) => {
       return res.status(404).json({ message: 'Product not found' });
     }
 
-    // Check if user is authorized (owner or admin)
-    if (product.user.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+    // Check if user is authorized (owner or catalog staff)
+    if (product.user.toString() !== req.user._id.toString() && !hasPermission(req.user, 'products:delete')) {
       return res.status(403).json({ 
         message: 'Not authorized to delete this product' 
       });
     }
 
-    // Optional: Delete images from Cloudinary before deleting product
-    // This would require calling Cloudinary API to delete images
-    
-    await product.deleteOne();
+    // Soft delete: past orders, returns and reviews still reference it.
+    // Images stay on Cloudinary so the product can be restored.
+    product.deletedAt = new Date();
+    product.status = 'archived';
+    await product.save();
     
     res.json({ 
       success: true,
@@ -348,12 +622,44 @@ const deleteProduct = async (req, res) => {
   }
 };
 
+// @desc    Bring back a deleted product (as a draft)
+// @route   PUT /api/products/:id/restore
+// @access  Private/Admin
+const restoreProduct = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product || !product.deletedAt) {
+      return res.status(404).json({ message: 'Deleted product not found' });
+    }
+
+    product.deletedAt = null;
+    product.status = 'draft';
+    await product.save();
+
+    res.json({
+      success: true,
+      message: 'Product restored as a draft',
+      product
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Deleted product not found' });
+    }
+    console.error('Restore product error:', error);
+    res.status(500).json({ 
+      message: 'Server error restoring product',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // @desc    Get top rated products
 // @route   GET /api/products/top
 // @access  Public
 const getTopProducts = async (req, res) => {
   try {
-    const products = await Product.find({})
+    const products = await Product.find(Product.publicFilter())
       .sort({ rating: -1 })
       .limit(5);
 
@@ -367,29 +673,50 @@ const getTopProducts = async (req, res) => {
   }
 };
 
-// @desc    Get products by category
-// @route   GET /api/products/category/:category
+// @desc    Get products by category, including its subcategories
+// @route   GET /api/products/category/:slug?sort=price_asc&pageNumber=1&pageSize=24
 // @access  Public
 const getProductsByCategory = async (req, res) => {
   try {
-    const category = req.params.category;
-    const pageSize = 10;
-    const page = Number(req.query.pageNumber) || 1;
+    const category = await Category.findOne({ slug: String(req.params.slug).toLowerCase() });
 
-    const count = await Product.countDocuments({ category });
-    
-    const products = await Product.find({ category })
-      .limit(pageSize)
-      .skip(pageSize * (page - 1))
-      .sort({ createdAt: -1 });
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const { sort, sortSpec, page, pageSize } = parseListingOptions(req.query);
+    const { filter: facetFilter } = buildProductFilters({ ...req.query, category: undefined });
+    const filter = scoped(req, { categoryId: { $in: await getDescendantIds(category._id) }, ...facetFilter });
+
+    const [count, products, ancestors] = await Promise.all([
+      Product.countDocuments(filter),
+      Product.find(filter)
+        .sort(sortSpec)
+        .limit(pageSize)
+        .skip(pageSize * (page - 1)),
+      getAncestors(category)
+    ]);
 
     res.json({ 
-      products, 
+      category: {
+        _id: category._id,
+        name: category.name,
+        slug: category.slug,
+        description: category.description,
+        image: category.image,
+        ancestors
+      },
+      products: products.map(toPublicProduct), 
       page, 
       pages: Math.ceil(count / pageSize),
-      total: count 
+      pageSize,
+      total: count,
+      sort
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Get products by category error:', error);
     res.status(500).json({ 
       message: 'Error fetching products by category',
@@ -398,124 +725,79 @@ const getProductsByCategory = async (req, res) => {
   }
 };
 
-// @desc    Create product review
-// @route   POST /api/products/:id/reviews
-// @access  Private
-const createProductReview = async (req, res) => {
+// @desc    Get quick search suggestions (YouTube style)
+// @route   GET /api/products/search/suggestions?keyword=cot
+// @access  Public
+const getSearchSuggestions = async (req, res) => {
   try {
-    const { rating, comment } = req.body;
-    const product = await Product.findById(req.params.id);
+    const keyword = String(req.query.keyword || '').trim();
 
-    if (!product) {
-      return res.status(404).json({ message: 'Product not found' });
+    if (!keyword) {
+      return res.json([]);
     }
 
-    // Check if user already reviewed this product
-    const alreadyReviewed = product.reviews.find(
-      review => review.user.toString() === req.user._id.toString()
-    );
+    // Words starting with what has been typed so far (e.g. "cot" finds "Cotton")
+    const startsWith = new RegExp(`(^|\\s)${escapeRegex(keyword)}`, 'i');
 
-    if (alreadyReviewed) {
-      return res.status(400).json({ message: 'Product already reviewed' });
-    }
-
-    // Create review
-    const review = {
-      user: req.user._id,
-      name: req.user.name,
-      rating: Number(rating),
-      comment
-    };
+    // 1. Search for matching categories
+    const categories = (await Product.distinct('category', {
+      ...Product.publicFilter(),
+      category: startsWith
+    })).slice(0, 5);
 
-    // Add review to product
-    product.reviews.push(review);
-    product.numReviews = product.reviews.length;
+    // 2. Search for matching product names (limit to 5 for speed)
+    const products = await Product.find({ ...Product.publicFilter(), name: startsWith })
+      .select('name image.thumbnail _id category') // Only fetch what is needed
+      .limit(5);
 
-    // Calculate new rating
-    product.rating = 
-      product.reviews.reduce((acc, item) => item.rating + acc, 0) / 
-      product.reviews.length;
+    // 3. Nothing typed matches a name prefix (typo, synonym): fall back to ranked search
+    if (products.length < 5) {
+      const search = await buildSearchFilter(keyword);
+      if (search) {
+        const more = await Product.find({
+          ...Product.publicFilter(),
+          ...search.filter,
+          _id: { $nin: products.map(p => p._id) }
+        })
+          .select({ name: 1, 'image.thumbnail': 1, category: 1, score: { $meta: 'textScore' } })
+          .sort({ score: { $meta: 'textScore' } })
+          .limit(5 - products.length);
+        products.push(...more);
+      }
+    }
 
-    await product.save();
-    
-    res.status(201).json({ 
-      success: true,
-      message: 'Review added successfully' 
-    });
+    // 4. Format the data for the frontend
+    const suggestions = [
+      ...categories.map(c => ({ type: 'category', text: c, id: c })),
+      ...products.map(p => ({ 
+        type: 'product', 
+        text: p.name, 
+        id: p._id, 
+        image: p.image?.thumbnail, 
+        category: p.category
+      }))
+    ];
+
+    res.json(suggestions);
   } catch (error) {
-    console.error('Create review error:', error);
+    console.error('Search suggestions error:', error);
     res.status(500).json({ 
-      message: 'Error creating review',
+      message: 'Error fetching search suggestions',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 };
 
-
-// @desc    Get quick search suggestions (YouTube style)
-// @route   GET /api/products/search/suggestions?keyword=cot
-// @access  Public
-  const getSearchSuggestions = async (req, res) => {
-    try {
-      const keyword = req.query.keyword
-    ? {
-        $or: [
-          { name: { $regex: req.query.keyword, $options: 'i' } },
-          { description: { $regex: req.query.keyword, $options: 'i' } },
-          { category: { $regex: req.query.keyword, $options: 'i' } },
-          { sizes: { $regex: req.query.keyword, $options: 'i' } } 
-        ]
-      }
-    : {};
-      
-      if (!keyword) {
-        return res.json([]);
-      }
-
-      // 1. Search for matching categories (e.g., typing "cot" finds "Cotton")
-      const categories = await Product.distinct('category', {
-        category: { $regex: keyword, $options: 'i' }
-      });
-
-      // 2. Search for matching product names (limit to 5 for speed)
-      const products = await Product.find({
-        name: { $regex: keyword, $options: 'i' }
-      })
-      .select('name image.thumbnail _id category') // Only fetch what is needed
-      .limit(5);
-
-      // 3. Format the data for the frontend
-      const suggestions = [
-        ...categories.map(c => ({ type: 'category', text: c, id: c })),
-        ...products.map(p => ({ 
-          type: 'product', 
-          text: p.name, 
-          id: p._id, 
-          image: p.image?.thumbnail, 
-          category: p.category
-        }))
-      ];
-
-      res.json(suggestions);
-    } catch (error) {
-      console.error('Search suggestions error:', error);
-      res.status(500).json({ 
-        message: 'Error fetching search suggestions',
-        error: process.env.NODE_ENV === 'development' ? error.message : undefined
-      });
-    }
-  };
-
-
-
 module.exports = {
   getProducts,
   getProductById,
+  getProductBySlug,
   createProduct,
   updateProduct,
+  updateProductVariant,
   deleteProduct,
+  restoreProduct,
   getTopProducts,
   getProductsByCategory,
-  createProductReview,
   getSearchSuggestions
 };
\ No newline at end of file
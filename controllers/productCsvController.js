@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { parseCsvRecords, toCsvLine } = require('../utils/csv');
+const { PRODUCT_CSV_COLUMNS, productToCsvRows, buildProductsFromCsv } = require('../utils/productCsv');
+const { PRODUCT_STATUSES } = require('../utils/productInput');
+
+// What the admin sees for each product in the file
+const formatResult = (result) => ({
+  rows: result.rows,
+  action: result.action,
+  slug: result.product ? result.product.slug : undefined,
+  name: result.product ? result.product.name : undefined,
+  variants: result.product ? result.product.variants.length : undefined,
+  errors: result.errors.length > 0 ? result.errors : undefined,
+  warnings: result.warnings && result.warnings.length > 0 ? result.warnings : undefined
+});
+
+// @desc    Import products from a CSV file (create or update by slug/SKU)
+//          With ?dryRun=true nothing is saved and the preview is returned.
+//          Otherwise the file is imported only if every row is valid.
+// @route   POST /api/products/import?dryRun=true   (multipart field "file")
+// @access  Private/Admin
+const importProducts = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Please upload a CSV file' });
+    }
+
+    let parsed;
+    try {
+      parsed = parseCsvRecords(req.file.buffer.toString('utf8'));
+    } catch (parseError) {
+      return res.status(400).json({ message: `Could not read CSV: ${parseError.message}` });
+    }
+
+    const unknownColumns = parsed.columns.filter(c => c && !PRODUCT_CSV_COLUMNS.includes(c));
+    if (unknownColumns.length > 0) {
+      return res.status(400).json({
+        message: `Unknown column(s): ${unknownColumns.join(', ')}`,
+        columns: PRODUCT_CSV_COLUMNS
+      });
+    }
+    if (parsed.records.length === 0) {
+      return res.status(400).json({ message: 'The CSV file has no product rows' });
+    }
+
+    const dryRun = String(req.query.dryRun || req.body.dryRun) === 'true';
+    const results = await buildProductsFromCsv(parsed.records, { userId: req.user._id });
+
+    const summary = {
+      rows: parsed.records.length,
+      create: results.filter(r => r.action === 'create').length,
+      update: results.filter(r => r.action === 'update').length,
+      invalid: results.filter(r => r.action === 'invalid').length,
+      stockOverrides: results.reduce((acc, r) => acc + (r.warnings ? r.warnings.length : 0), 0)
+    };
+    const body = { dryRun, summary, products: results.map(formatResult) };
+
+    if (dryRun) {
+      return res.json(body);
+    }
+
+    if (summary.invalid > 0) {
+      return res.status(400).json({
+        message: 'Some rows have errors. Nothing was imported',
+        ...body
+      });
+    }
+
+    // All or nothing, so a failed import can simply be fixed and re-uploaded
+    await mongoose.connection.transaction(async (session) => {
+      for (const result of results) {
+        await result.product.save({ session });
+      }
+    });
+
+    res.status(201).json({
+      message: `Imported ${summary.create} new and ${summary.update} updated product(s)`,
+      ...body
+    });
+  } catch (error) {
+    console.error('Import products error:', error);
+
+    // An order moved stock of a product in the file after it was read
+    if (error.name === 'DocumentNotFoundError') {
+      return res.status(409).json({
+        message: 'Stock changed while importing. Nothing was imported, please try again'
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        message: 'A slug or SKU in the file is already taken. Run a dry run to see which'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error importing products',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Export the catalog as CSV (same columns the import reads)
+// @route   GET /api/products/export?status=published&includeDeleted=true
+// @access  Private/Admin
+const exportProducts = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.includeDeleted !== 'true') {
+      filter.deletedAt = null;
+    }
+    if (PRODUCT_STATUSES.includes(req.query.status)) {
+      filter.status = req.query.status;
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="products-${date}.csv"`);
+
+    // Stream product by product so large catalogs are not held in memory
+    res.write(toCsvLine(PRODUCT_CSV_COLUMNS));
+    const cursor = Product.find(filter)
+      .sort({ createdAt: 1 })
+      .populate('categoryId', 'slug')
+      .cursor();
+
+    for await (const product of cursor) {
+      productToCsvRows(product).forEach(row => res.write(toCsvLine(row)));
+    }
+
+    res.end();
+  } catch (error) {
+    console.error('Export products error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      message: 'Server error exporting products',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = { importProducts, exportProducts };
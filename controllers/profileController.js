@@ -0,0 +1,284 @@
+const User = require('../models/User');
+const generateToken = require('../utils/generateToken');
+const { permissionsFor } = require('../utils/permissions');
+const { issueRefreshToken, revokeAllUserTokens } = require('../utils/refreshTokens');
+const { sendVerification } = require('../utils/verification');
+const { applyAddressFields, settleDefaultAddress } = require('../utils/addressBook');
+const { emailChangedEmail } = require('../utils/emails');
+const { sendMail } = require('../config/mail');
+
+// What a customer sees of their own account
+const toProfile = (user) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  phone: user.phone,
+  role: user.role,
+  permissions: permissionsFor(user),
+  emailVerified: user.emailVerified,
+  phoneVerified: user.phoneVerified,
+  addresses: user.addresses,
+  createdAt: user.createdAt
+});
+
+const handleProfileError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: messages
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'An account with this email already exists' });
+  }
+
+  res.status(500).json({
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// @desc    Get the logged in user's profile and address book
+// @route   GET /api/users/profile
+// @access  Private
+const getProfile = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(toProfile(user));
+  } catch (error) {
+    console.error('Get profile error:', error);
+    handleProfileError(res, error, 'Error fetching profile');
+  }
+};
+
+// @desc    Update name, phone or email
+//          A changed email or phone has to be verified again; the new code is
+//          sent straight away. Changing the email needs currentPassword (a
+//          stolen access token must not be enough to take the account over),
+//          tells the old address and logs out every other session.
+// @route   PUT /api/users/profile
+// @access  Private
+const updateProfile = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const body = req.body || {};
+    const previousEmail = user.email;
+
+    ['name', 'phone'].forEach(field => {
+      if (body[field] !== undefined) {
+        user[field] = String(body[field]).trim();
+      }
+    });
+
+    if (body.email !== undefined) {
+      const email = String(body.email).trim();
+      if (email !== previousEmail) {
+        if (!body.currentPassword || !(await user.matchPassword(String(body.currentPassword)))) {
+          return res.status(401).json({ message: 'Enter your current password to change your email' });
+        }
+        if (await User.exists({ email, _id: { $ne: user._id } })) {
+          return res.status(400).json({ message: 'An account with this email already exists' });
+        }
+      }
+      user.email = email;
+    }
+
+    const changed = ['email', 'phone'].filter(field => user.isModified(field));
+    const updatedUser = await user.save();
+
+    for (const channel of changed) {
+      try {
+        await sendVerification(updatedUser, channel);
+      } catch (verificationError) {
+        console.error(`Profile ${channel} verification error:`, verificationError);
+      }
+    }
+
+    if (!changed.includes('email')) {
+      return res.json(toProfile(updatedUser));
+    }
+
+    try {
+      await sendMail({
+        to: previousEmail,
+        ...emailChangedEmail({ name: updatedUser.name, newEmail: updatedUser.email })
+      });
+    } catch (mailError) {
+      console.error('Email changed notice error:', mailError);
+    }
+
+    // Every session ends; this one continues with fresh tokens
+    const tokenVersion = await revokeAllUserTokens(updatedUser._id, 'revoked');
+
+    res.json({
+      ...toProfile(updatedUser),
+      token: generateToken(updatedUser._id, tokenVersion),
+      refreshToken: await issueRefreshToken(updatedUser._id, req)
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    handleProfileError(res, error, 'Error updating profile');
+  }
+};
+
+// @desc    Change password (needs the current one)
+//          Every other session is logged out; this one gets fresh tokens.
+// @route   PUT /api/users/profile/password
+// @access  Private
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: 'Current and new password are required' });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!(await user.matchPassword(String(currentPassword)))) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    user.password = String(newPassword);
+    await user.save();
+    const tokenVersion = await revokeAllUserTokens(user._id, 'revoked');
+
+    res.json({
+      message: 'Password changed',
+      token: generateToken(user._id, tokenVersion),
+      refreshToken: await issueRefreshToken(user._id, req)
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    handleProfileError(res, error, 'Error changing password');
+  }
+};
+
+// @desc    List saved addresses (default first)
+// @route   GET /api/users/profile/addresses
+// @access  Private
+const getAddresses = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('addresses');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const addresses = [...user.addresses].sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+    res.json(addresses);
+  } catch (error) {
+    console.error('Get addresses error:', error);
+    handleProfileError(res, error, 'Error fetching addresses');
+  }
+};
+
+// @desc    Save a new address (the first one becomes the default)
+// @route   POST /api/users/profile/addresses
+// @access  Private
+const addAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.addresses.push({});
+    const entry = user.addresses[user.addresses.length - 1];
+    const body = req.body || {};
+    applyAddressFields(entry, body);
+    settleDefaultAddress(user, body.isDefault === true ? entry._id : undefined);
+
+    await user.save();
+    res.status(201).json(user.addresses.id(entry._id));
+  } catch (error) {
+    console.error('Add address error:', error);
+    handleProfileError(res, error, 'Error saving address');
+  }
+};
+
+// @desc    Edit a saved address; { isDefault: true } makes it the default
+// @route   PUT /api/users/profile/addresses/:addressId
+// @access  Private
+const updateAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const entry = user && user.addresses.id(req.params.addressId);
+
+    if (!entry) {
+      return res.status(404).json({ message: 'Address not found' });
+    }
+
+    const body = req.body || {};
+    applyAddressFields(entry, body);
+    if (body.isDefault === true) {
+      settleDefaultAddress(user, entry._id);
+    }
+
+    await user.save();
+    res.json(entry);
+  } catch (error) {
+    console.error('Update address error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Address not found' });
+    }
+    handleProfileError(res, error, 'Error updating address');
+  }
+};
+
+// @desc    Delete a saved address (another one takes over as default)
+// @route   DELETE /api/users/profile/addresses/:addressId
+// @access  Private
+const deleteAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const entry = user && user.addresses.id(req.params.addressId);
+
+    if (!entry) {
+      return res.status(404).json({ message: 'Address not found' });
+    }
+
+    entry.deleteOne();
+    settleDefaultAddress(user);
+
+    await user.save();
+    res.json({ message: 'Address removed', addresses: user.addresses });
+  } catch (error) {
+    console.error('Delete address error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Address not found' });
+    }
+    handleProfileError(res, error, 'Error deleting address');
+  }
+};
+
+module.exports = {
+  getProfile,
+  updateProfile,
+  changePassword,
+  getAddresses,
+  addAddress,
+  updateAddress,
+  deleteAddress,
+};
@@ -0,0 +1,317 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const ReturnRequest = require('../models/ReturnRequest');
+const httpError = require('../utils/httpError');
+const { buildOrderItems } = require('../utils/orderPricing');
+const { reserveOrderStock, restockItems } = require('../utils/inventory');
+const { findVariant } = require('../utils/variants');
+const { hasPermission } = require('../utils/permissions');
+
+// Days after delivery during which a return/exchange can be opened
+const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS ?? 7);
+const MAX_RETURN_PHOTOS = 5;
+
+// Allowed moves between ReturnRequest.status values
+const RETURN_STATUS_TRANSITIONS = {
+  Requested: ['Approved', 'Rejected'],
+  Approved: ['Received', 'Rejected'],
+  Received: ['Closed'],
+  Rejected: [],
+  Closed: [],
+};
+
+// Units of each order line already covered by open or closed requests
+const requestedQtyByItem = async (orderId, session) => {
+  const existing = await ReturnRequest.find({ order: orderId, status: { $ne: 'Rejected' } }).session(session);
+  const requested = new Map();
+  existing.forEach(request => {
+    request.items.forEach(item => {
+      const key = item.orderItem.toString();
+      requested.set(key, (requested.get(key) || 0) + item.qty);
+    });
+  });
+  return requested;
+};
+
+// @desc    Validate the requested lines against the delivered order
+//          Run inside the transaction that creates the request.
+const resolveReturnItems = async (order, type, items, session) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw httpError(400, 'Please choose at least one item to return');
+  }
+
+  const requestedQty = await requestedQtyByItem(order._id, session);
+
+  const resolved = [];
+  for (const item of items) {
+    const orderItem = order.orderItems.id(item.orderItem);
+    if (!orderItem) {
+      throw httpError(400, `Order item not found: ${item.orderItem}`);
+    }
+
+    const qty = Number(item.qty);
+    const remainingQty = orderItem.qty - (requestedQty.get(orderItem._id.toString()) || 0);
+    if (!Number.isInteger(qty) || qty <= 0 || qty > remainingQty) {
+      throw httpError(400, `Invalid quantity for ${orderItem.name} (${remainingQty} returnable)`);
+    }
+
+    const line = {
+      orderItem: orderItem._id,
+      product: orderItem.product,
+      name: orderItem.name,
+      size: orderItem.size,
+      color: orderItem.color,
+      sku: orderItem.sku,
+      qty,
+    };
+
+    if (type === 'exchange') {
+      if (!item.exchangeSize || item.exchangeSize === orderItem.size) {
+        throw httpError(400, `Please choose a different size for ${orderItem.name}`);
+      }
+
+      const product = await Product.findById(orderItem.product).session(session);
+      const hasSize = product && (product.variants.length > 0
+        ? findVariant(product, item.exchangeSize, orderItem.color)
+        : product.sizes.includes(item.exchangeSize));
+      if (!hasSize) {
+        throw httpError(400, `Size "${item.exchangeSize}" is not available for ${orderItem.name}`);
+      }
+
+      line.exchangeSize = item.exchangeSize;
+    }
+
+    resolved.push(line);
+  }
+
+  return resolved;
+};
+
+// @desc    Restock the returned units and, for exchanges, create the
+//          replacement order in the new size. Runs inside a transaction.
+const closeReturnRequest = async (request, actor, session) => {
+  await restockItems(request.items, session);
+
+  if (request.type !== 'exchange') {
+    return;
+  }
+
+  const order = await Order.findById(request.order).session(session);
+  const replacementItems = await buildOrderItems(request.items.map(item => ({
+    product: item.product,
+    qty: item.qty,
+    size: item.exchangeSize,
+    color: item.color,
+  })), { session, publicOnly: false });
+
+  // Already paid for by the original order
+  const replacement = new Order({
+    user: request.user,
+    orderItems: replacementItems,
+    shippingAddress: order.shippingAddress.toObject(),
+    paymentMethod: 'Exchange',
+    itemsPrice: 0,
+    taxPrice: 0,
+    shippingPrice: 0,
+    totalPrice: 0,
+    isPaid: true,
+    paidAt: new Date(),
+    replacementFor: order._id,
+    statusHistory: [{
+      status: 'Processing',
+      changedBy: actor._id,
+      actorRole: actor.role,
+      note: `Replacement for return request ${request._id}`,
+    }],
+  });
+
+  await reserveOrderStock(replacement, session);
+  await replacement.save({ session });
+
+  request.replacementOrder = replacement._id;
+};
+
+// @desc    Open a return or exchange request
+// @route   POST /api/returns
+// @access  Private
+const createReturnRequest = async (req, res) => {
+  try {
+    const { orderId, type, items, reason, photos = [] } = req.body;
+
+    if (!['return', 'exchange'].includes(type)) {
+      return res.status(400).json({ message: "Type must be 'return' or 'exchange'" });
+    }
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ message: 'Please tell us why you are returning the items' });
+    }
+
+    if (!Array.isArray(photos) || photos.length > MAX_RETURN_PHOTOS) {
+      return res.status(400).json({ message: `You can attach up to ${MAX_RETURN_PHOTOS} photos` });
+    }
+
+    const invalidPhotos = photos.filter(
+      img => !img || !img.original || !img.thumbnail || !img.public_id
+    );
+    if (invalidPhotos.length > 0) {
+      return res.status(400).json({ message: 'Invalid photo structure. Please upload photos properly.' });
+    }
+
+    if (!mongoose.isValidObjectId(orderId)) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order || order.user.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.orderStatus !== 'Delivered' || !order.deliveredAt) {
+      return res.status(400).json({ message: 'Only delivered orders can be returned' });
+    }
+
+    const windowEnds = new Date(order.deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    if (Date.now() > windowEnds.getTime()) {
+      return res.status(400).json({
+        message: `Returns must be requested within ${RETURN_WINDOW_DAYS} days of delivery`
+      });
+    }
+
+    // Bumping the order first makes concurrent requests for the same order
+    // conflict: the retried one then sees the units already requested
+    const request = await mongoose.connection.transaction(async (session) => {
+      await Order.updateOne({ _id: order._id }, { $inc: { returnRequestCount: 1 } }, { session });
+
+      const [created] = await ReturnRequest.create([{
+        order: order._id,
+        user: req.user._id,
+        type,
+        items: await resolveReturnItems(order, type, items, session),
+        reason: String(reason).trim(),
+        photos,
+        statusHistory: [{
+          status: 'Requested',
+          changedBy: req.user._id,
+          actorRole: req.user.role,
+        }],
+      }], { session });
+
+      return created;
+    });
+
+    res.status(201).json(request);
+  } catch (error) {
+    console.error('Create return request error:', error);
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+};
+
+// @desc    Get logged-in user's return requests
+// @route   GET /api/returns/mine
+// @access  Private
+const getMyReturnRequests = async (req, res) => {
+  try {
+    const requests = await ReturnRequest.find({ user: req.user._id })
+      .sort({ createdAt: -1 });
+
+    res.json(requests);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Get return request by ID
+// @route   GET /api/returns/:id
+// @access  Private (User or Admin)
+const getReturnRequestById = async (req, res) => {
+  try {
+    const request = await ReturnRequest.findById(req.params.id)
+      .populate('user', 'name email');
+
+    if (!request) {
+      return res.status(404).json({ message: 'Return request not found' });
+    }
+
+    const isStaff = hasPermission(req.user, 'returns:read');
+    const isOwner = request.user._id.toString() === req.user._id.toString();
+
+    if (!isStaff && !isOwner) {
+      return res.status(403).json({ message: 'Not authorized to view this return request' });
+    }
+
+    res.json(request);
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Return request not found' });
+    }
+    console.error('Get return request error:', error);
+    res.status(500).json({ message: 'Server error fetching return request' });
+  }
+};
+
+// @desc    Get all return requests (optionally by status)
+// @route   GET /api/returns?status=Requested
+// @access  Private/Admin
+const getReturnRequests = async (req, res) => {
+  try {
+    const filter = req.query.status ? { status: req.query.status } : {};
+
+    const requests = await ReturnRequest.find(filter)
+      .populate('user', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json(requests);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Approve, reject, receive or close a return request
+// @route   PUT /api/returns/:id/status
+// @access  Private/Admin
+const updateReturnRequestStatus = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    const updatedRequest = await mongoose.connection.transaction(async (session) => {
+      const request = await ReturnRequest.findById(req.params.id).session(session);
+      if (!request) {
+        throw httpError(404, 'Return request not found');
+      }
+
+      const allowed = RETURN_STATUS_TRANSITIONS[request.status] || [];
+      if (!allowed.includes(status)) {
+        throw httpError(400, `Cannot change return request from ${request.status} to ${status}`);
+      }
+
+      // Closing puts the items back on the shelf (and ships the new size)
+      if (status === 'Closed') {
+        await closeReturnRequest(request, req.user, session);
+      }
+
+      request.status = status;
+      request.statusHistory.push({
+        status,
+        changedBy: req.user._id,
+        actorRole: req.user.role,
+        note,
+      });
+
+      return request.save({ session });
+    });
+
+    res.json(updatedRequest);
+  } catch (error) {
+    console.error('Update return request error:', error);
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  createReturnRequest,
+  getMyReturnRequests,
+  getReturnRequestById,
+  getReturnRequests,
+  updateReturnRequestStatus,
+};
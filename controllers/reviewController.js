@@ -0,0 +1,301 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const { hasPermission } = require('../utils/permissions');
+
+const REVIEW_SORTS = {
+  newest: (a, b) => b.createdAt - a.createdAt,
+  oldest: (a, b) => a.createdAt - b.createdAt,
+  highest: (a, b) => b.rating - a.rating || b.createdAt - a.createdAt,
+  lowest: (a, b) => a.rating - b.rating || b.createdAt - a.createdAt,
+};
+
+const MAX_REVIEW_PAGE_SIZE = 50;
+
+// A purchase is verified once an order with the product has been delivered
+const hasDeliveredPurchase = (userId, productId) =>
+  Order.exists({ user: userId, 'orderItems.product': productId, isDelivered: true });
+
+// Rating must be a whole number of stars and the comment must say something
+const validateReviewInput = ({ rating, comment }) => {
+  const stars = Number(rating);
+  if (!Number.isInteger(stars) || stars < 1 || stars > 5) {
+    return 'Rating must be a whole number from 1 to 5';
+  }
+  if (!comment || !String(comment).trim()) {
+    return 'Please write a comment';
+  }
+  return null;
+};
+
+// Shape of a review as customers see it
+const formatReview = (review) => ({
+  _id: review._id,
+  user: review.user,
+  name: review.name,
+  rating: review.rating,
+  comment: review.comment,
+  isVerifiedPurchase: review.isVerifiedPurchase,
+  createdAt: review.createdAt,
+  updatedAt: review.updatedAt,
+});
+
+const findProduct = async (id) =>
+  mongoose.isValidObjectId(id) ? Product.findById(id) : null;
+
+// Reviews can only be read and written on products customers can see
+const findPublicProduct = async (id) =>
+  mongoose.isValidObjectId(id) ? Product.findOne({ ...Product.publicFilter(), _id: id }) : null;
+
+// @desc    Get approved reviews for a product
+// @route   GET /api/products/:id/reviews?sort=newest&page=1&pageSize=10
+// @access  Public
+const getProductReviews = async (req, res) => {
+  try {
+    const product = await findPublicProduct(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const sort = REVIEW_SORTS[req.query.sort] ? req.query.sort : 'newest';
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const pageSize = Math.min(Math.max(Number(req.query.pageSize) || 10, 1), MAX_REVIEW_PAGE_SIZE);
+
+    const visible = product.reviews
+      .filter(review => review.status === 'approved')
+      .sort(REVIEW_SORTS[sort]);
+
+    res.json({
+      reviews: visible.slice((page - 1) * pageSize, page * pageSize).map(formatReview),
+      rating: product.rating,
+      numReviews: product.numReviews,
+      page,
+      pages: Math.ceil(visible.length / pageSize),
+      sort
+    });
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({ message: 'Error fetching reviews' });
+  }
+};
+
+// @desc    Create product review
+// @route   POST /api/products/:id/reviews
+// @access  Private
+const createProductReview = async (req, res) => {
+  try {
+    const { rating, comment } = req.body;
+    const product = await findPublicProduct(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const invalid = validateReviewInput(req.body);
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    // Check if user already reviewed this product
+    const alreadyReviewed = product.reviews.find(
+      review => review.user.toString() === req.user._id.toString()
+    );
+
+    if (alreadyReviewed) {
+      return res.status(400).json({ message: 'Product already reviewed' });
+    }
+
+    // Verified buyers are published straight away, everyone else is moderated
+    const isVerifiedPurchase = Boolean(await hasDeliveredPurchase(req.user._id, product._id));
+
+    product.reviews.push({
+      user: req.user._id,
+      name: req.user.name,
+      rating: Number(rating),
+      comment: String(comment).trim(),
+      isVerifiedPurchase,
+      status: isVerifiedPurchase ? 'approved' : 'pending'
+    });
+    product.recalculateRating();
+
+    await product.save();
+
+    const review = product.reviews[product.reviews.length - 1];
+
+    res.status(201).json({
+      success: true,
+      message: isVerifiedPurchase
+        ? 'Review added successfully'
+        : 'Thanks! Your review will appear once it has been approved',
+      review: { ...formatReview(review), status: review.status }
+    });
+  } catch (error) {
+    console.error('Create review error:', error);
+    res.status(500).json({
+      message: 'Error creating review',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Edit your own review
+// @route   PUT /api/products/:id/reviews/:reviewId
+// @access  Private
+const updateProductReview = async (req, res) => {
+  try {
+    const product = await findProduct(req.params.id);
+    const review = product && product.reviews.id(req.params.reviewId);
+
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (review.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'You can only edit your own review' });
+    }
+
+    const invalid = validateReviewInput({
+      rating: req.body.rating !== undefined ? req.body.rating : review.rating,
+      comment: req.body.comment !== undefined ? req.body.comment : review.comment,
+    });
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    if (req.body.rating !== undefined) {
+      review.rating = Number(req.body.rating);
+    }
+    if (req.body.comment !== undefined) {
+      review.comment = String(req.body.comment).trim();
+    }
+
+    // The order may have been delivered since the review was written.
+    // A hidden review stays hidden; otherwise unverified edits go back to moderation.
+    review.isVerifiedPurchase = Boolean(await hasDeliveredPurchase(req.user._id, product._id));
+    if (review.status !== 'hidden') {
+      review.status = review.isVerifiedPurchase ? 'approved' : 'pending';
+    }
+    product.recalculateRating();
+
+    await product.save();
+    res.json({ ...formatReview(review), status: review.status });
+  } catch (error) {
+    console.error('Update review error:', error);
+    res.status(500).json({ message: 'Error updating review' });
+  }
+};
+
+// @desc    Delete a review (your own, or any with reviews:moderate)
+// @route   DELETE /api/products/:id/reviews/:reviewId
+// @access  Private
+const deleteProductReview = async (req, res) => {
+  try {
+    const product = await findProduct(req.params.id);
+    const review = product && product.reviews.id(req.params.reviewId);
+
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (review.user.toString() !== req.user._id.toString() && !hasPermission(req.user, 'reviews:moderate')) {
+      return res.status(403).json({ message: 'You can only delete your own review' });
+    }
+
+    review.deleteOne();
+    product.recalculateRating();
+
+    await product.save();
+    res.json({ success: true, message: 'Review removed successfully' });
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({ message: 'Error deleting review' });
+  }
+};
+
+// @desc    Reviews waiting for (or removed by) moderation
+// @route   GET /api/products/reviews/moderation?status=pending
+// @access  Private/Admin
+const getModerationQueue = async (req, res) => {
+  try {
+    const status = ['pending', 'approved', 'hidden'].includes(req.query.status)
+      ? req.query.status
+      : 'pending';
+
+    const reviews = await Product.aggregate([
+      { $match: { 'reviews.status': status } },
+      { $unwind: '$reviews' },
+      { $match: { 'reviews.status': status } },
+      { $sort: { 'reviews.createdAt': 1 } },
+      {
+        $project: {
+          _id: '$reviews._id',
+          product: { _id: '$_id', name: '$name' },
+          user: '$reviews.user',
+          name: '$reviews.name',
+          rating: '$reviews.rating',
+          comment: '$reviews.comment',
+          isVerifiedPurchase: '$reviews.isVerifiedPurchase',
+          status: '$reviews.status',
+          moderationNote: '$reviews.moderationNote',
+          createdAt: '$reviews.createdAt',
+        }
+      }
+    ]);
+
+    res.json(reviews);
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    res.status(500).json({ message: 'Error fetching reviews for moderation' });
+  }
+};
+
+// @desc    Approve or hide a review
+// @route   PUT /api/products/:id/reviews/:reviewId/moderate
+// @access  Private/Admin
+const moderateProductReview = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!['approved', 'hidden'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be "approved" or "hidden"' });
+    }
+
+    const product = await findProduct(req.params.id);
+    const review = product && product.reviews.id(req.params.reviewId);
+
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    review.status = status;
+    review.moderatedBy = req.user._id;
+    review.moderatedAt = new Date();
+    review.moderationNote = note;
+    product.recalculateRating();
+
+    await product.save();
+    res.json({
+      review: {
+        ...formatReview(review),
+        status: review.status,
+        moderatedAt: review.moderatedAt,
+        moderationNote: review.moderationNote
+      },
+      rating: product.rating,
+      numReviews: product.numReviews
+    });
+  } catch (error) {
+    console.error('Moderate review error:', error);
+    res.status(500).json({ message: 'Error moderating review' });
+  }
+};
+
+module.exports = {
+  getProductReviews,
+  createProductReview,
+  updateProductReview,
+  deleteProductReview,
+  getModerationQueue,
+  moderateProductReview,
+};
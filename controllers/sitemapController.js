@@ -0,0 +1,47 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+
+// Storefront the sitemap links to (not this API)
+const CLIENT_URL = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+const escapeXml = (text) => String(text).replace(/[<>&'"]/g, char => ({
+  '<': '&lt;',
+  '>': '&gt;',
+  '&': '&amp;',
+  "'": '&apos;',
+  '"': '&quot;'
+}[char]));
+
+const urlEntry = (path, lastmod) => [
+  '  <url>',
+  `    <loc>${escapeXml(`${CLIENT_URL}${path}`)}</loc>`,
+  lastmod ? `    <lastmod>${lastmod.toISOString()}</lastmod>` : null,
+  '  </url>'
+].filter(Boolean).join('\n');
+
+// @desc    XML sitemap of every live product and every category page
+// @route   GET /sitemap.xml
+// @access  Public
+const getSitemap = async (req, res) => {
+  try {
+    const [products, categories] = await Promise.all([
+      Product.find({ ...Product.publicFilter(), slug: { $exists: true } }).select('slug updatedAt').lean(),
+      Category.find({}).select('slug updatedAt').lean()
+    ]);
+
+    const xml = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+      ...categories.map(c => urlEntry(`/category/${c.slug}`, c.updatedAt)),
+      ...products.map(p => urlEntry(`/product/${p.slug}`, p.updatedAt)),
+      '</urlset>'
+    ].join('\n');
+
+    res.type('application/xml').send(xml);
+  } catch (error) {
+    console.error('Sitemap error:', error);
+    res.status(500).json({ message: 'Error generating sitemap' });
+  }
+};
+
+module.exports = { getSitemap };
@@ -1,37 +1,6 @@
-const cloudinary = require('cloudinary').v2;
+const cloudinary = require('../config/cloudinary');
 const fs = require('fs');
-
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
-
-// Helper function to generate optimized URLs
-const generateOptimizedImage = (publicId) => {
-  const generateUrl = (options) => {
-    return cloudinary.url(publicId, {
-      secure: true,
-      format: 'webp',
-      ...options
-    });
-  };
-
-  return {
-    public_id: publicId,
-    original: generateUrl({}),
-    thumbnail: generateUrl({ width: 350, crop: 'scale' }),
-    medium: generateUrl({ width: 800, crop: 'scale' }),
-    large: generateUrl({ width: 1200, crop: 'scale' }),
-    placeholder: generateUrl({ 
-      width: 20, 
-      crop: 'scale', 
-      effect: 'blur:1000',
-      quality: 1 
-    })
-  };
-};
+const { generateOptimizedImage } = require('../utils/cloudinaryImage');
 
 // @desc    Upload single image & Generate optimized variants
 // @route   POST /api/upload
@@ -135,7 +104,8 @@ const uploadImages = async (req, res) => {
         console.log('→ path:', file.path);
 
         const result = await cloudinary.uploader.upload(file.path, {
-          folder: 'nighty-store/products',
+          // Routes can pick another folder (e.g. return photos)
+          folder: req.uploadFolder || 'nighty-store/products',
           format: 'webp',
           quality: 'auto:good',
           transformation: [{ width: 1200, crop: 'limit' }],
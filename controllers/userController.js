@@ -1,12 +1,29 @@
 const User = require('../models/User');
+const { ROLES, ROLE_PERMISSIONS } = require('../config/roles');
+const { hasPermission } = require('../utils/permissions');
+const { revokeAllUserTokens } = require('../utils/refreshTokens');
 
-// @desc    Get all users
+// @desc    Get all users (each with role, emailVerified / phoneVerified)
+//          ?role=, ?emailVerified=true|false and ?phoneVerified=true|false filter the list
 // @route   GET /api/users
 // @access  Private/Admin
 const getUsers = async (req, res) => {
   try {
+    const filter = {};
+    if (ROLES.includes(req.query.role)) {
+      filter.role = req.query.role;
+    }
+    ['emailVerified', 'phoneVerified'].forEach(field => {
+      if (req.query[field] === 'true') {
+        filter[field] = true;
+      } else if (req.query[field] === 'false') {
+        // Accounts from before verification have no value stored
+        filter[field] = { $ne: true };
+      }
+    });
+
     // .select('-password') ensures we never send hashed passwords to the frontend
-    const users = await User.find({}).select('-password').sort({ createdAt: -1 });
+    const users = await User.find(filter).select('-password').sort({ createdAt: -1 });
     res.json(users);
   } catch (error) {
     console.error('Get users error:', error);
@@ -49,25 +66,48 @@ const updateUser = async (req, res) => {
       // Update fields if they are provided in the request body
       user.name = req.body.name || user.name;
       user.email = req.body.email || user.email;
-      
-      // Specifically handle isAdmin (because it's a boolean, checking for undefined is safer)
-      if (req.body.isAdmin !== undefined) {
-        user.isAdmin = req.body.isAdmin;
+
+      // Role changes need their own permission on top of users:update
+      const roleChanged = req.body.role !== undefined && req.body.role !== user.role;
+      if (roleChanged) {
+        if (!hasPermission(req.user, 'users:assign-roles')) {
+          return res.status(403).json({ message: 'Not authorized: requires users:assign-roles' });
+        }
+        if (!ROLES.includes(req.body.role)) {
+          return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}` });
+        }
+        // Keeps the last person who can hand out roles from locking everyone out
+        if (user._id.toString() === req.user._id.toString()) {
+          return res.status(400).json({ message: 'You cannot change your own role' });
+        }
+        user.role = req.body.role;
       }
 
       const updatedUser = await user.save();
 
+      // Sessions carry the old role in the client; make them log in again
+      if (roleChanged) {
+        await revokeAllUserTokens(updatedUser._id, 'revoked');
+      }
+
       res.json({
         _id: updatedUser._id,
         name: updatedUser.name,
         email: updatedUser.email,
-        isAdmin: updatedUser.isAdmin,
+        role: updatedUser.role,
       });
     } else {
       res.status(404).json({ message: 'User not found' });
     }
   } catch (error) {
     console.error('Update user error:', error);
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ message: 'Validation error', errors: messages });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'An account with this email already exists' });
+    }
     res.status(500).json({ message: 'Error updating user' });
   }
 };
@@ -96,9 +136,17 @@ const deleteUser = async (req, res) => {
   }
 };
 
+// @desc    Roles that can be assigned and the permissions each grants
+// @route   GET /api/users/roles
+// @access  Private/Admin
+const getRoles = (req, res) => {
+  res.json(ROLES.map(role => ({ role, permissions: ROLE_PERMISSIONS[role] })));
+};
+
 module.exports = {
   // ... export your existing login/register functions here too,
   getUsers,
+  getRoles,
   getUserById,
   updateUser,
   deleteUser,
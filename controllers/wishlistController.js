@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const Wishlist = require('../models/Wishlist');
+const Product = require('../models/Product');
+const { PRODUCT_CARD_FIELDS } = require('../utils/productCard');
+const { findVariant } = require('../utils/variants');
+
+// Same wishlist line: same product, same (or no) size and colour
+const isSameLine = (item, productId, size, color) =>
+  item.product.toString() === String(productId) &&
+  (item.size || '') === (size || '') &&
+  (item.color || '').toLowerCase() === (color || '').toLowerCase();
+
+// Variants a saved line could mean: the exact size and colour, or every
+// colour of the size when no colour was saved
+const lineVariants = (product, item) => {
+  if (!item.size) {
+    return [];
+  }
+  if (item.color) {
+    const variant = findVariant(product, item.size, item.color);
+    return variant ? [variant] : [];
+  }
+  return (product.variants || []).filter(v => v.size === item.size);
+};
+
+// Attach the product card to every saved line
+const formatWishlist = async (wishlist) => {
+  if (!wishlist) {
+    return { items: [] };
+  }
+
+  // Products taken off sale drop out of the list (the saved line is kept)
+  const products = await Product.find({
+    ...Product.publicFilter(),
+    _id: { $in: wishlist.items.map(i => i.product) }
+  })
+    .select(PRODUCT_CARD_FIELDS);
+  const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+  const items = wishlist.items
+    .filter(item => productMap.has(item.product.toString()))
+    .map(item => {
+      const product = productMap.get(item.product.toString());
+      const variants = lineVariants(product, item);
+      const prices = variants.map(v => v.price || product.price);
+
+      return {
+        _id: item._id,
+        size: item.size,
+        color: item.color,
+        addedAt: item.addedAt,
+        // Stock and price for the saved size/colour when there is one,
+        // otherwise for the product (the lowest price when colours differ)
+        inStock: variants.length > 0 ? variants.some(v => v.countInStock > 0) : product.inStock,
+        price: prices.length > 0 ? Math.min(...prices) : product.price,
+        product,
+      };
+    });
+
+  return { _id: wishlist._id, items };
+};
+
+// @desc    Get logged-in user's wishlist
+// @route   GET /api/wishlist
+// @access  Private
+const getWishlist = async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ user: req.user._id });
+    res.json(await formatWishlist(wishlist));
+  } catch (error) {
+    console.error('Get wishlist error:', error);
+    res.status(500).json({ message: 'Error fetching wishlist' });
+  }
+};
+
+// @desc    Save a product (optionally a size and colour) to the wishlist
+// @route   POST /api/wishlist
+// @access  Private
+const addToWishlist = async (req, res) => {
+  try {
+    const { product: productId, size, color } = req.body;
+
+    if (!mongoose.isValidObjectId(productId)) {
+      return res.status(400).json({ message: 'Invalid product id' });
+    }
+
+    const product = await Product.findOne({ ...Product.publicFilter(), _id: productId }).select('name sizes variants');
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    if (size && !product.sizes.includes(size)) {
+      return res.status(400).json({ message: `Size "${size}" is not available for ${product.name}` });
+    }
+
+    if (color && (!size || !findVariant(product, size, color))) {
+      return res.status(400).json({
+        message: size
+          ? `${product.name} does not come in ${color} in size ${size}`
+          : 'Choose a size to save a colour'
+      });
+    }
+
+    const wishlist = await Wishlist.findOne({ user: req.user._id }) ||
+      new Wishlist({ user: req.user._id, items: [] });
+
+    // Saving the same thing twice is not an error
+    if (!wishlist.items.some(item => isSameLine(item, productId, size, color))) {
+      wishlist.items.push({ product: product._id, size, color });
+      await wishlist.save();
+    }
+
+    res.status(201).json(await formatWishlist(wishlist));
+  } catch (error) {
+    console.error('Add to wishlist error:', error);
+    res.status(500).json({ message: 'Error adding to wishlist' });
+  }
+};
+
+// @desc    Remove a product (or one saved size/colour of it) from the wishlist
+// @route   DELETE /api/wishlist/:productId?size=M&color=Maroon
+// @access  Private
+const removeFromWishlist = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { size, color } = req.query;
+
+    const wishlist = await Wishlist.findOne({ user: req.user._id });
+    const before = wishlist ? wishlist.items.length : 0;
+
+    if (wishlist) {
+      // Without a size, every saved size of the product goes
+      wishlist.items = wishlist.items.filter(item =>
+        size ? !isSameLine(item, productId, size, color) : item.product.toString() !== productId
+      );
+    }
+
+    if (!wishlist || wishlist.items.length === before) {
+      return res.status(404).json({ message: 'Product not in wishlist' });
+    }
+
+    await wishlist.save();
+    res.json(await formatWishlist(wishlist));
+  } catch (error) {
+    console.error('Remove from wishlist error:', error);
+    res.status(500).json({ message: 'Error removing from wishlist' });
+  }
+};
+
+module.exports = { getWishlist, addToWishlist, removeFromWishlist };
@@ -1,5 +1,28 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { hasPermission } = require('../utils/permissions');
+
+// Verify a bearer token and load its user. Throws when the token is bad,
+// expired, belongs to a deleted user or was issued before the user's
+// tokenVersion changed since (logout everywhere, password change, role change).
+const userFromToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Get user from the token (exclude password)
+  const user = await User.findById(decoded.id).select('-password');
+  if (!user) {
+    throw new Error('User no longer exists');
+  }
+
+  // Tokens from before versions existed count as version 0
+  if ((decoded.v || 0) !== (user.tokenVersion || 0)) {
+    const error = new Error('Token has been revoked');
+    error.name = 'TokenRevokedError';
+    throw error;
+  }
+
+  return user;
+};
 
 const protect = async (req, res, next) => {
   let token;
@@ -13,19 +36,17 @@ const protect = async (req, res, next) => {
       // Get token from header (Format: "Bearer <token>")
       token = req.headers.authorization.split(' ')[1];
 
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Get user from the token (exclude password)
-      req.user = await User.findById(decoded.id).select('-password');
-console.log("JWT_SECRET:", process.env.JWT_SECRET);
-console.log("Token received:", token);
+      req.user = await userFromToken(token);
       next();
     } catch (error) {
   if (error.name === "TokenExpiredError") {
     return res.status(401).json({ message: "Token expired" });
   }
 
+  if (error.name === "TokenRevokedError") {
+    return res.status(401).json({ message: "Token revoked, please log in again" });
+  }
+
   return res.status(401).json({ message: "Not authorized, token failed" });
 }
 
@@ -36,12 +57,38 @@ console.log("Token received:", token);
   }
 };
 
-const admin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
-    next();
-  } else {
-    res.status(401).json({ message: 'Not authorized as an admin' });
+// Like protect, but anonymous requests go through with req.user unset
+const optionalAuth = async (req, res, next) => {
+  if (
+    req.headers.authorization &&
+    req.headers.authorization.startsWith('Bearer')
+  ) {
+    try {
+      const token = req.headers.authorization.split(' ')[1];
+      req.user = await userFromToken(token);
+    } catch (error) {
+      // A bad, expired or revoked token is treated as no token
+      req.user = undefined;
+    }
   }
+
+  next();
+};
+
+// Use after protect: the user's role must grant every listed permission
+// (see config/roles.js), e.g. requirePermission('orders:update')
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Not authorized, no token' });
+  }
+
+  if (!hasPermission(req.user, ...permissions)) {
+    return res.status(403).json({
+      message: `Not authorized: requires ${permissions.join(', ')}`
+    });
+  }
+
+  next();
 };
 
-module.exports = { protect, admin };
\ No newline at end of file
+module.exports = { protect, optionalAuth, requirePermission };
\ No newline at end of file
@@ -0,0 +1,20 @@
+const multer = require('multer');
+const path = require('path');
+
+// CSV files are parsed straight from memory (nothing to clean up on disk)
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+    files: 1
+  },
+  fileFilter: function (req, file, cb) {
+    const isCsv = path.extname(file.originalname).toLowerCase() === '.csv';
+    if (isCsv) {
+      return cb(null, true);
+    }
+    cb(new Error('CSV files only! (.csv)'));
+  },
+});
+
+module.exports = csvUpload;
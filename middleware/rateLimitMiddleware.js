@@ -0,0 +1,40 @@
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
+
+// Limits for endpoints that guess or send secrets (passwords, reset links,
+// SMS codes). Counters are per process; run behind a shared store if the
+// API is scaled out.
+const limiter = ({ windowMinutes, limit, message, keyGenerator }) => rateLimit({
+  windowMs: windowMinutes * 60 * 1000,
+  limit,
+  standardHeaders: 'draft-8',
+  legacyHeaders: false,
+  keyGenerator,
+  message: { message }
+});
+
+// Per address and per IP, so one account cannot be hammered from many IPs
+// and one IP cannot spray many accounts
+const emailOrIp = (req) => {
+  const email = req.body && typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+  return email ? `email:${email}` : ipKeyGenerator(req.ip);
+};
+
+const loginLimiter = [
+  limiter({ windowMinutes: 15, limit: 20, message: 'Too many login attempts. Please try again later' }),
+  limiter({ windowMinutes: 15, limit: 10, keyGenerator: emailOrIp, message: 'Too many login attempts. Please try again later' })
+];
+
+const forgotPasswordLimiter = [
+  limiter({ windowMinutes: 60, limit: 10, message: 'Too many reset requests. Please try again later' }),
+  limiter({ windowMinutes: 60, limit: 3, keyGenerator: emailOrIp, message: 'Too many reset requests. Please try again later' })
+];
+
+// Use after protect: counted per account
+const otpLimiter = limiter({
+  windowMinutes: 15,
+  limit: 10,
+  keyGenerator: (req) => (req.user ? `user:${req.user._id}` : ipKeyGenerator(req.ip)),
+  message: 'Too many verification attempts. Please try again later'
+});
+
+module.exports = { loginLimiter, forgotPasswordLimiter, otpLimiter };
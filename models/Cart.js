@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Days an untouched guest cart is kept before MongoDB removes it
+const GUEST_CART_TTL_DAYS = 30;
+
+const cartSchema = mongoose.Schema(
+  {
+    // Exactly one of user / guestId is set
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    guestId: {
+      type: String,
+    },
+    items: [
+      {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+          ref: 'Product',
+        },
+        size: { type: String, required: true },
+        color: { type: String },
+        qty: { type: Number, required: true, min: 1 },
+        // Price the customer last saw, to flag changes on the next read
+        price: { type: Number, required: true },
+        addedAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+cartSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } });
+cartSchema.index({ guestId: 1 }, { unique: true, partialFilterExpression: { guestId: { $exists: true } } });
+cartSchema.index(
+  { updatedAt: 1 },
+  {
+    expireAfterSeconds: GUEST_CART_TTL_DAYS * 24 * 60 * 60,
+    partialFilterExpression: { guestId: { $exists: true } },
+  }
+);
+
+module.exports = mongoose.model('Cart', cartSchema);
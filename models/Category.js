@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const imageSchema = require('./imageSchema');
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a category name'],
+    trim: true,
+    maxlength: [100, 'Category name cannot exceed 100 characters']
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  // Top-level categories have no parent
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null,
+    index: true
+  },
+  // Display order among siblings (lowest first)
+  order: {
+    type: Number,
+    default: 0
+  },
+  image: imageSchema,
+  description: {
+    type: String,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Two siblings cannot share a name (the same name may appear under different parents)
+categorySchema.index({ parent: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+module.exports = mongoose.model('Category', categorySchema);
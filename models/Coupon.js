@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Please add a coupon code'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [30, 'Coupon code cannot exceed 30 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'flat', 'free_shipping'],
+    required: [true, 'Please add a coupon type']
+  },
+  // Percent off for 'percentage', rupees off for 'flat', unused for 'free_shipping'
+  value: {
+    type: Number,
+    default: 0,
+    min: [0, 'Value cannot be negative']
+  },
+  // Cap on a percentage discount (rupees)
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  minCartValue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum cart value cannot be negative']
+  },
+  // Empty scope means the whole catalog
+  categories: [String],
+  products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+  startsAt: { type: Date },
+  expiresAt: { type: Date },
+  // null means unlimited
+  usageLimit: {
+    type: Number,
+    default: null,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: [1, 'Per-user limit must be at least 1']
+  },
+  usedCount: {
+    type: Number,
+    required: true,
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
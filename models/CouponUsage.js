@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// How many times one user has redeemed one coupon (for per-user limits)
+const couponUsageSchema = new mongoose.Schema({
+  coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  count: { type: Number, required: true, default: 0, min: 0 }
+}, {
+  timestamps: true
+});
+
+couponUsageSchema.index({ coupon: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('CouponUsage', couponUsageSchema);
@@ -21,6 +21,9 @@ const orderSchema = mongoose.Schema(
         
         price: { type: Number, required: true },
         size: { type: String, required: true }, 
+        color: { type: String },
+        // Variant SKU; absent on orders placed before per-size inventory
+        sku: { type: String },
         product: {
           type: mongoose.Schema.Types.ObjectId,
           required: true,
@@ -29,8 +32,11 @@ const orderSchema = mongoose.Schema(
       },
     ],
     shippingAddress: {
+      // Recipient, when it is not the account holder (address book entries)
+      fullName: { type: String },
       address: { type: String, required: true },
       city: { type: String, required: true },
+      state: { type: String },
       postalCode: { type: String, required: true },
       country: { type: String, required: true },
       phone: { type: String, required: true },
@@ -40,13 +46,68 @@ const orderSchema = mongoose.Schema(
       required: true,
       default: 'Razorpay',
     },
+    // Razorpay order the customer is currently paying through
+    razorpayOrderId: { type: String, index: true },
+    // Every payment attempt against this order, oldest first
+    paymentAttempts: [
+      {
+        razorpayOrderId: { type: String, required: true },
+        razorpayPaymentId: { type: String },
+        amount: { type: Number, required: true },
+        status: {
+          type: String,
+          enum: ['created', 'failed', 'succeeded'],
+          required: true,
+        },
+        // Where we learnt about it: 'checkout', 'verification' or 'webhook'
+        source: { type: String },
+        errorCode: { type: String },
+        errorDescription: { type: String },
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
     paymentResult: {
       id: { type: String },
       status: { type: String },
       update_time: { type: String },
       email_address: { type: String },
     },
+    // Money given back through Razorpay (amounts in rupees)
+    refunds: [
+      {
+        razorpayRefundId: { type: String },
+        amount: { type: Number, required: true },
+        reason: { type: String },
+        // Optional: which order lines (and how many units) this refund covers
+        items: [
+          {
+            orderItem: { type: mongoose.Schema.Types.ObjectId, required: true },
+            qty: { type: Number, required: true },
+          },
+        ],
+        status: {
+          type: String,
+          enum: ['pending', 'processed', 'failed'],
+          default: 'pending',
+        },
+        failureReason: { type: String },
+        refundedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        processedAt: { type: Date },
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+    // Sum of pending and processed refunds; guards against refunding too much
+    amountRefunded: { type: Number, required: true, default: 0.0 },
     itemsPrice: { type: Number, required: true, default: 0.0 },
+    discountPrice: { type: Number, required: true, default: 0.0 },
+    // Coupon applied at checkout (the discount line)
+    coupon: {
+      couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+      code: { type: String },
+      type: { type: String },
+      value: { type: Number },
+      discount: { type: Number },
+    },
     taxPrice: { type: Number, required: true, default: 0.0 },
     shippingPrice: { type: Number, required: true, default: 0.0 },
     totalPrice: { type: Number, required: true, default: 0.0 },
@@ -54,15 +115,86 @@ const orderSchema = mongoose.Schema(
     paidAt: { type: Date },
     isDelivered: { type: Boolean, required: true, default: false },
     deliveredAt: { type: Date },
+    // True while the order's units are taken out of Product.countInStock
+    stockReserved: { type: Boolean, required: true, default: false },
+    // Paid, but the stock could not be reserved (STOCK_RESERVE_ON=payment and
+    // the last units went first). Staff restock and ship, or refund.
+    stockShortage: {
+      message: { type: String },
+      flaggedAt: { type: Date },
+    },
+    // Paid after it was cancelled (checkout was already open). Nothing is
+    // reserved; staff refund the payment.
+    refundDue: {
+      reason: { type: String },
+      flaggedAt: { type: Date },
+    },
     orderStatus: {
       type: String,
       enum: ['Processing', 'Shipped', 'Out for Delivery', 'Delivered', 'Cancelled'],
       default: 'Processing'
-    }
+    },
+    // Set on replacement orders created by a closed exchange
+    replacementFor: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    // Return/exchange requests opened against this order. Bumped in the same
+    // transaction that opens one, so two requests for the same units conflict.
+    returnRequestCount: { type: Number, default: 0 },
+    // Parcels handed to a courier; an order can ship in several
+    shipments: [
+      {
+        carrier: { type: String, required: true },
+        trackingNumber: { type: String, required: true }, // AWB number
+        trackingUrl: { type: String },
+        items: [
+          {
+            orderItem: { type: mongoose.Schema.Types.ObjectId, required: true },
+            qty: { type: Number, required: true },
+          },
+        ],
+        status: {
+          type: String,
+          enum: ['Shipped', 'In Transit', 'Out for Delivery', 'Delivered', 'Exception'],
+          default: 'Shipped',
+        },
+        events: [
+          {
+            status: { type: String, required: true },
+            description: { type: String },
+            location: { type: String },
+            occurredAt: { type: Date, required: true, default: Date.now },
+          },
+        ],
+        shippedAt: { type: Date, default: Date.now },
+        deliveredAt: { type: Date },
+      },
+    ],
+    // Timeline of every status change, oldest first
+    statusHistory: [
+      {
+        status: { type: String, required: true },
+        changedAt: { type: Date, required: true, default: Date.now },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        // The actor's role (see config/roles.js) or 'system' (webhooks,
+        // shipment tracking)
+        actorRole: { type: String },
+        note: { type: String },
+      },
+    ],
   },
   {
     timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
   }
 );
 
+// 'none', 'partial' or 'full', based on refunds not marked failed
+orderSchema.virtual('refundStatus').get(function () {
+  if (!this.amountRefunded) {
+    return 'none';
+  }
+  // Small tolerance for floating point rounding on rupee amounts
+  return this.amountRefunded >= this.totalPrice - 0.001 ? 'full' : 'partial';
+});
+
 module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
@@ -1,39 +1,78 @@
 const mongoose = require('mongoose');
+const imageSchema = require('./imageSchema');
+const { uniqueSlug } = require('../utils/slug');
 
 const reviewSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   name: { type: String, required: true },
-  rating: { type: Number, required: true },
-  comment: { type: String, required: true }
+  rating: { type: Number, required: true, min: 1, max: 5 },
+  comment: { type: String, required: true, maxlength: 2000 },
+  // The reviewer has a delivered order containing this product
+  isVerifiedPurchase: { type: Boolean, default: false },
+  // Only approved reviews are shown and counted in the rating
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'hidden'],
+    default: 'approved'
+  },
+  moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  moderatedAt: { type: Date },
+  moderationNote: { type: String }
 }, { timestamps: true });
 
-// Image Schema for reusability
-const imageSchema = new mongoose.Schema({
-  public_id: { 
-    type: String, 
-    required: [true, 'Public ID is required'] 
-  },
-  original: { 
-    type: String, 
-    required: [true, 'Original image URL is required'] 
+// One sellable variant (size and optional colour) with its own stock
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'Variant SKU is required'],
+    trim: true,
+    uppercase: true
   },
-  thumbnail: { 
-    type: String, 
-    required: [true, 'Thumbnail URL is required'] 
+  size: {
+    type: String,
+    required: [true, 'Variant size is required']
   },
-  medium: { 
-    type: String, 
-    required: [true, 'Medium image URL is required'] 
+  color: {
+    type: String,
+    trim: true
   },
-  large: { 
-    type: String, 
-    required: [true, 'Large image URL is required'] 
+  countInStock: {
+    type: Number,
+    required: true,
+    default: 0,
+    min: [0, 'Stock count cannot be negative']
   },
-  placeholder: { 
-    type: String, 
-    required: [true, 'Placeholder URL is required'],
-    default: 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII='
+  // Leave empty to sell at the product price
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
   }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+variantSchema.virtual('inStock').get(function() {
+  return this.countInStock > 0;
+});
+
+// A colour/print the product comes in, with its own gallery.
+// Variants refer to it by name (variant.color).
+const colorSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a colour name'],
+    trim: true
+  },
+  // Plain swatch colour, e.g. "#8B0000"
+  hex: {
+    type: String,
+    trim: true,
+    match: [/^#([0-9a-f]{3}|[0-9a-f]{6})$/i, 'Swatch colour must be a hex value like #8B0000']
+  },
+  // Close-up of a print, shown instead of the hex swatch when set
+  swatchImage: imageSchema,
+  images: [imageSchema]
 });
 
 const productSchema = new mongoose.Schema({
@@ -48,11 +87,26 @@ const productSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Product name cannot exceed 200 characters']
   },
+  // Shareable URL key, generated from the name on create. It does not follow
+  // later renames; admins change it explicitly and old slugs keep redirecting.
+  slug: {
+    type: String,
+    unique: true,
+    sparse: true,
+    lowercase: true,
+    trim: true
+  },
+  previousSlugs: {
+    type: [String],
+    index: true
+  },
   image: {
     type: imageSchema,
     required: [true, 'Please add a main product image']
   },
   additionalImages: [imageSchema], // Array of image objects
+  // Colour options; empty for single-colour products
+  colors: [colorSchema],
   brand: {
     type: String,
     required: [true, 'Please add a brand'],
@@ -63,6 +117,12 @@ const productSchema = new mongoose.Schema({
     required: [true, 'Please add a category'],
     index: true // Keep this! It makes your new Search Page very fast
   },
+  // The Category this product is filed under; `category` keeps its name
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    index: true
+  },
   description: {
     type: String,
     required: [true, 'Please add a description'],
@@ -97,7 +157,21 @@ const productSchema = new mongoose.Schema({
  sizes: [{
     type: String,
     required: [true, 'Please add at least one size']
-  }]
+  }],
+  // When present, sizes and countInStock are derived from these
+  variants: [variantSchema],
+  // Only published products are shown to customers, and only between
+  // publishAt and unpublishAt when those are set
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'archived'],
+    default: 'draft',
+    index: true
+  },
+  publishAt: { type: Date, default: null },
+  unpublishAt: { type: Date, default: null },
+  // Soft delete: orders keep pointing at the product, customers never see it
+  deletedAt: { type: Date, default: null }
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -105,16 +179,147 @@ const productSchema = new mongoose.Schema({
 });
 
 // Create indexes for search functionality
-productSchema.index({ name: 'text', description: 'text' });
+// Text search ranks name matches above category, and category above description.
+// MongoDB allows one text index per collection: after changing it, run
+// `npm run search:reindex` to replace the old one.
+productSchema.index(
+  { name: 'text', category: 'text', description: 'text' },
+  { name: 'product_text_search', weights: { name: 10, category: 5, description: 1 } }
+);
 productSchema.index({ category: 1, price: 1 });
+productSchema.index({ brand: 1 });
 productSchema.index({ rating: -1 });
 productSchema.index({ createdAt: -1 });
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
+
+// New products get a slug from their name
+productSchema.pre('save', async function() {
+  if (!this.slug) {
+    this.slug = await uniqueSlug(this.constructor, this.name, {
+      excludeId: this._id,
+      historyField: 'previousSlugs'
+    });
+  }
+});
+
+// Keep the flat sizes/countInStock fields in step with the variants
+productSchema.pre('save', function() {
+  if (this.variants && this.variants.length > 0) {
+    this.sizes = [...new Set(this.variants.map(v => v.size))];
+    this.countInStock = this.variants.reduce((acc, v) => acc + v.countInStock, 0);
+  }
+});
+
+// Query condition for products customers may see right now
+productSchema.statics.publicFilter = function(now = new Date()) {
+  return {
+    status: 'published',
+    deletedAt: null,
+    $and: [
+      { $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+      { $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] }
+    ]
+  };
+};
+
+// Same rule as publicFilter, for a loaded document
+productSchema.methods.isPublic = function(now = new Date()) {
+  return this.status === 'published' &&
+    !this.deletedAt &&
+    (!this.publishAt || this.publishAt <= now) &&
+    (!this.unpublishAt || this.unpublishAt > now);
+};
+
+// Where the product is in its lifecycle, for the admin product list
+productSchema.virtual('visibility').get(function() {
+  const now = new Date();
+  if (this.deletedAt) {
+    return 'deleted';
+  }
+  if (this.status !== 'published') {
+    return this.status;
+  }
+  if (this.publishAt && this.publishAt > now) {
+    return 'scheduled';
+  }
+  if (this.unpublishAt && this.unpublishAt <= now) {
+    return 'expired';
+  }
+  return 'live';
+});
 
 // Virtual for checking if product is in stock
 productSchema.virtual('inStock').get(function() {
   return this.countInStock > 0;
 });
 
+// Recompute rating/numReviews from the approved reviews only
+productSchema.methods.recalculateRating = function() {
+  const visible = this.reviews.filter(review => review.status === 'approved');
+  this.numReviews = visible.length;
+  this.rating = visible.length > 0
+    ? visible.reduce((acc, item) => item.rating + acc, 0) / visible.length
+    : 0;
+};
+
+// Virtual listing the sizes that still have stock
+productSchema.virtual('availableSizes').get(function() {
+  if (!this.variants || this.variants.length === 0) {
+    return this.countInStock > 0 ? this.sizes : [];
+  }
+  return [...new Set(this.variants.filter(v => v.countInStock > 0).map(v => v.size))];
+});
+
+// Every variant must use one of the product's colours (when it has any)
+productSchema.pre('validate', function() {
+  if (!this.colors || this.colors.length === 0) {
+    return;
+  }
+
+  const names = this.colors.map(c => c.name.toLowerCase());
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    this.invalidate('colors', `Duplicate colour "${duplicate}"`);
+  }
+
+  const stray = (this.variants || []).find(v => !v.color || !names.includes(v.color.toLowerCase()));
+  if (stray) {
+    this.invalidate('variants', stray.color
+      ? `Variant colour "${stray.color}" is not one of the product's colours`
+      : `Variant ${stray.sku} needs a colour`);
+  }
+});
+
+// Main image for a colour: the first picture of its gallery, else the product image
+productSchema.methods.imageFor = function(color) {
+  const option = color && (this.colors || []).find(
+    c => c.name.toLowerCase() === String(color).toLowerCase()
+  );
+  return option && option.images && option.images.length > 0 ? option.images[0] : this.image;
+};
+
+// Swatches for product cards: one per colour, with what is left in stock
+productSchema.virtual('swatches').get(function() {
+  if (!this.colors || this.colors.length === 0) {
+    return [];
+  }
+
+  return this.colors.map(color => {
+    const inStockVariants = (this.variants || []).filter(v =>
+      (v.color || '').toLowerCase() === color.name.toLowerCase() && v.countInStock > 0
+    );
+
+    return {
+      name: color.name,
+      hex: color.hex,
+      swatchImage: color.swatchImage ? color.swatchImage.thumbnail : undefined,
+      image: color.images && color.images.length > 0 ? color.images[0].thumbnail : undefined,
+      inStock: inStockVariants.length > 0,
+      availableSizes: [...new Set(inStockVariants.map(v => v.size))]
+    };
+  });
+});
+
 // Virtual for checking if product has multiple images
 productSchema.virtual('hasMultipleImages').get(function() {
   return this.additionalImages && this.additionalImages.length > 0;
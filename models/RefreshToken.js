@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// One refresh token. Only its SHA-256 hash is stored. Every refresh replaces
+// the token with a new one in the same family (one family per login), and
+// used tokens are kept until they expire so a replayed one can be spotted.
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: { type: Date },
+  // rotated: exchanged for a new token; logout / reuse: ended on purpose
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'reuse', 'revoked']
+  },
+  createdByIp: { type: String },
+  userAgent: { type: String }
+}, {
+  timestamps: true
+});
+
+// MongoDB drops expired tokens on its own
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const imageSchema = require('./imageSchema');
+
+// Customer request to return or exchange delivered order items (RMA)
+const returnRequestSchema = mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Order',
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+    },
+    type: {
+      type: String,
+      enum: ['return', 'exchange'],
+      required: true,
+    },
+    items: [
+      {
+        orderItem: { type: mongoose.Schema.Types.ObjectId, required: true },
+        product: { type: mongoose.Schema.Types.ObjectId, required: true, ref: 'Product' },
+        name: { type: String, required: true },
+        size: { type: String, required: true },
+        color: { type: String },
+        sku: { type: String },
+        qty: { type: Number, required: true },
+        // Exchanges only: the size the customer wants instead
+        exchangeSize: { type: String },
+      },
+    ],
+    reason: { type: String, required: true, maxlength: 1000 },
+    photos: [imageSchema],
+    status: {
+      type: String,
+      enum: ['Requested', 'Approved', 'Rejected', 'Received', 'Closed'],
+      default: 'Requested',
+    },
+    statusHistory: [
+      {
+        status: { type: String, required: true },
+        changedAt: { type: Date, required: true, default: Date.now },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        actorRole: { type: String },
+        note: { type: String },
+      },
+    ],
+    // Set when an exchange is closed
+    replacementOrder: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+returnRequestSchema.index({ order: 1 });
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReturnRequest', returnRequestSchema);
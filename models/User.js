@@ -1,5 +1,46 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../config/roles');
+
+// Saved delivery address (address book). Field names follow
+// Order.shippingAddress so an entry can be copied onto an order as is.
+const addressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    default: 'Home',
+    maxlength: [40, 'Label can be at most 40 characters']
+  },
+  fullName: { type: String, trim: true },
+  phone: { type: String, trim: true },
+  address: {
+    type: String,
+    required: [true, 'Please add the street address'],
+    trim: true
+  },
+  city: {
+    type: String,
+    required: [true, 'Please add a city'],
+    trim: true
+  },
+  state: { type: String, trim: true },
+  postalCode: {
+    type: String,
+    required: [true, 'Please add a postal code'],
+    trim: true
+  },
+  country: {
+    type: String,
+    trim: true,
+    default: 'India'
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -24,13 +65,15 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user'
   },
   phone: {
     type: String,
     required: [true, 'Please add a phone number']
   },
+  // Single address from before the address book (see addresses);
+  // npm run migrate:addresses copies it over
   address: {
     street: String,
     city: String,
@@ -38,16 +81,71 @@ const userSchema = new mongoose.Schema({
     postalCode: String,
     country: { type: String, default: 'India' }
   },
+  addresses: {
+    type: [addressSchema],
+    validate: {
+      validator: (addresses) => addresses.length <= 20,
+      message: 'You can save at most 20 addresses'
+    }
+  },
+  // Set through the emailed link / SMS code (see utils/verification.js).
+  // Changing the email or phone makes it unverified again.
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: { type: Date },
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneVerifiedAt: { type: Date },
+  // Access tokens carry the version they were issued under (the `v` claim);
+  // bumping it (logout everywhere, refresh token reuse, password or role
+  // change) rejects every token issued before. This stands in for a
+  // `tokensValidAfter` timestamp: JWT `iat` is in whole seconds, so a
+  // timestamp would still accept a token issued in the same second as the
+  // revocation. Users without the field are at version 0, the same as
+  // tokens issued before it existed, so no migration is needed.
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Forgot-password: SHA-256 of the emailed token, cleared once used
+  passwordResetToken: {
+    type: String,
+    select: false,
+    index: { sparse: true }
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// A new email or phone has to be verified again
+userSchema.pre('save', function () {
+  if (this.isNew) {
+    return;
+  }
+  if (this.isModified('email')) {
+    this.emailVerified = false;
+    this.emailVerifiedAt = undefined;
+  }
+  if (this.isModified('phone')) {
+    this.phoneVerified = false;
+    this.phoneVerifiedAt = undefined;
+  }
+});
+
 // Encrypt password using bcrypt before saving
-userSchema.pre('save', async function (next) {
+userSchema.pre('save', async function () {
   if (!this.isModified('password')) {
-    next();
+    return;
   }
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
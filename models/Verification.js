@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// A pending email link or phone OTP. One per user and channel; sending a new
+// one replaces the old. Only the SHA-256 of the token/code is stored.
+const verificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'phone'],
+    required: true
+  },
+  // The address or number the code was sent to; verifying only counts if
+  // the user still has it
+  target: {
+    type: String,
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Wrong OTP guesses so far
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastSentAt: {
+    type: Date,
+    required: true
+  },
+  // Sends within the current hour (resend throttling)
+  sendCount: {
+    type: Number,
+    default: 1
+  },
+  sendWindowStartedAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+verificationSchema.index({ user: 1, channel: 1 }, { unique: true });
+
+// Expired codes are removed by MongoDB, an hour late so the hourly send
+// limit still applies right after expiry
+verificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+module.exports = mongoose.model('Verification', verificationSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Every Razorpay webhook we have processed, so replays are ignored
+const webhookEventSchema = mongoose.Schema(
+  {
+    eventId: { type: String, required: true, unique: true },
+    event: { type: String, required: true },
+    // What we did with it, e.g. 'processed', 'ignored', 'order_not_found'
+    outcome: { type: String, required: true },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
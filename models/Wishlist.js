@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Products a customer saved for later (one wishlist per user)
+const wishlistSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      unique: true,
+      ref: 'User',
+    },
+    items: [
+      {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+          ref: 'Product',
+        },
+        // Optional: the size (and colour) the customer had in mind
+        size: { type: String },
+        color: { type: String },
+        addedAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+wishlistSchema.index({ 'items.product': 1 });
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Image Schema for reusability
+const imageSchema = new mongoose.Schema({
+  public_id: { 
+    type: String, 
+    required: [true, 'Public ID is required'] 
+  },
+  original: { 
+    type: String, 
+    required: [true, 'Original image URL is required'] 
+  },
+  thumbnail: { 
+    type: String, 
+    required: [true, 'Thumbnail URL is required'] 
+  },
+  medium: { 
+    type: String, 
+    required: [true, 'Medium image URL is required'] 
+  },
+  large: { 
+    type: String, 
+    required: [true, 'Large image URL is required'] 
+  },
+  placeholder: { 
+    type: String, 
+    required: [true, 'Placeholder URL is required'],
+    default: 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII='
+  }
+});
+
+module.exports = imageSchema;
@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { getDashboardStats } = require('../controllers/adminController');
-const { protect, admin } = require('../middleware/authMiddleware');
+const { getDashboardStats, getTopWishlistedProducts } = require('../controllers/adminController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
 
-router.route('/stats').get(protect, admin, getDashboardStats);
+router.route('/stats').get(protect, requirePermission('reports:view'), getDashboardStats);
+router.route('/wishlist/top').get(protect, requirePermission('reports:view'), getTopWishlistedProducts);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+} = require('../controllers/cartController');
+const { optionalAuth } = require('../middleware/authMiddleware');
+
+// Guests use the X-Guest-Cart-Id header; logged-in users their own cart
+router.route('/')
+  .get(optionalAuth, getCart)
+  .delete(optionalAuth, clearCart);
+
+router.post('/items', optionalAuth, addCartItem);
+
+router.route('/items/:itemId')
+  .put(optionalAuth, updateCartItem)
+  .delete(optionalAuth, removeCartItem);
+
+module.exports = router;
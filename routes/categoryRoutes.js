@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCategoryTree,
+  getCategoryBySlug,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} = require('../controllers/categoryController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+
+router.route('/')
+  .get(getCategoryTree)
+  .post(protect, requirePermission('categories:manage'), createCategory);
+
+router.get('/:slug', getCategoryBySlug);
+
+router.route('/:id')
+  .put(protect, requirePermission('categories:manage'), updateCategory)
+  .delete(protect, requirePermission('categories:manage'), deleteCategory);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const {
+  validateCoupon,
+  getCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+} = require('../controllers/couponController');
+const { protect, optionalAuth, requirePermission } = require('../middleware/authMiddleware');
+
+// Public: logged-in shoppers also get their per-user limit checked
+router.post('/validate', optionalAuth, validateCoupon);
+
+router.route('/')
+  .get(protect, requirePermission('coupons:manage'), getCoupons)
+  .post(protect, requirePermission('coupons:manage'), createCoupon);
+
+router.route('/:id')
+  .get(protect, requirePermission('coupons:manage'), getCouponById)
+  .put(protect, requirePermission('coupons:manage'), updateCoupon)
+  .delete(protect, requirePermission('coupons:manage'), deleteCoupon);
+
+module.exports = router;
@@ -6,9 +6,12 @@ const {
   updateOrderToPaid,
   getAllOrders,
   updateOrderStatus,
+  createOrderRefund,
+  addOrderShipment,
+  addShipmentEvent,
 } = require('../controllers/orderController');
 
-const { protect, admin } = require('../middleware/authMiddleware');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
@@ -16,10 +19,14 @@ const router = express.Router();
 router.post('/', protect, createOrder);
 router.get('/myorders', protect, getMyOrders);
 router.get('/:id', protect, getOrderById);
-router.put('/:id/pay', protect, updateOrderToPaid);
 
 // ADMIN ROUTES
-router.get('/', protect, admin, getAllOrders);
-router.put('/:id/status', protect, admin, updateOrderStatus);
+router.get('/', protect, requirePermission('orders:read'), getAllOrders);
+router.put('/:id/status', protect, requirePermission('orders:update'), updateOrderStatus);
+// Development only (ALLOW_MANUAL_PAYMENT=true); customers pay through /api/payment
+router.put('/:id/pay', protect, requirePermission('orders:update'), updateOrderToPaid);
+router.post('/:id/refunds', protect, requirePermission('orders:refund'), createOrderRefund);
+router.post('/:id/shipments', protect, requirePermission('orders:update'), addOrderShipment);
+router.post('/:id/shipments/:shipmentId/events', protect, requirePermission('orders:update'), addShipmentEvent);
 
 module.exports = router;
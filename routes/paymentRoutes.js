@@ -1,5 +1,5 @@
 const express = require('express');
-const { checkout, paymentVerification } = require('../controllers/paymentController');
+const { checkout, paymentVerification, razorpayWebhook } = require('../controllers/paymentController');
 const { protect } = require('../middleware/authMiddleware');
 
 const router = express.Router();
@@ -7,6 +7,9 @@ const router = express.Router();
 router.post('/checkout', protect, checkout);
 router.post('/verification', protect, paymentVerification);
 
+// Called by Razorpay directly, so no `protect`: the signature is the auth
+router.post('/webhook', razorpayWebhook);
+
 // Also add a route to send the Key ID to frontend (so you don't hardcode it in React)
 router.get('/key', (req, res) => {
     res.status(200).json({ key: process.env.RAZORPAY_KEY_ID });
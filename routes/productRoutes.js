@@ -3,24 +3,68 @@ const router = express.Router();
 const {
   getProducts,
   getProductById,
+  getProductBySlug,
   createProduct,
   updateProduct,
+  updateProductVariant,
   deleteProduct,
+  restoreProduct,
+  getProductsByCategory,
   getSearchSuggestions,
 } = require('../controllers/productController');
-const { protect, admin } = require('../middleware/authMiddleware');
+const {
+  getProductReviews,
+  createProductReview,
+  updateProductReview,
+  deleteProductReview,
+  getModerationQueue,
+  moderateProductReview,
+} = require('../controllers/reviewController');
+const { importProducts, exportProducts } = require('../controllers/productCsvController');
+const { protect, optionalAuth, requirePermission } = require('../middleware/authMiddleware');
+const csvUpload = require('../middleware/csvUploadMiddleware');
+
+// Catalog reads are public; logged-in staff with products:update also see
+// drafts, archived and scheduled products through optionalAuth
 
 // Route for getting all products and creating a product
 router.route('/')
-  .get(getProducts)
-  .post(protect, admin, createProduct);
+  .get(optionalAuth, getProducts)
+  .post(protect, requirePermission('products:create'), createProduct);
+
+// Bulk catalog import/export (CSV)
+router.post('/import', protect, requirePermission('products:import'), csvUpload.single('file'), importProducts);
+router.get('/export', protect, requirePermission('products:import'), exportProducts);
+
+// Admin review moderation queue
+router.get('/reviews/moderation', protect, requirePermission('reviews:moderate'), getModerationQueue);
+
+// Shareable product URLs (old slugs answer with a 301 to the current one)
+router.get('/slug/:slug', optionalAuth, getProductBySlug);
 
 // Route for single product operations
 router.route('/:id')
-  .get(getProductById)
-  .put(protect, admin, updateProduct)
-  .delete(protect, admin, deleteProduct);
+  .get(optionalAuth, getProductById)
+  .put(protect, requirePermission('products:update'), updateProduct)
+  .delete(protect, requirePermission('products:delete'), deleteProduct);
+
+router.put('/:id/restore', protect, requirePermission('products:delete'), restoreProduct);
+
+router.put('/:id/variants/:sku', protect, requirePermission('products:update'), updateProductVariant);
+
+router.route('/:id/reviews')
+  .get(getProductReviews)
+  .post(protect, createProductReview);
+
+router.route('/:id/reviews/:reviewId')
+  .put(protect, updateProductReview)
+  .delete(protect, deleteProductReview);
+
+router.put('/:id/reviews/:reviewId/moderate', protect, requirePermission('reviews:moderate'), moderateProductReview);
 
 router.get('/search/suggestions', getSearchSuggestions);
 
+// Products in a category and all of its subcategories
+router.get('/category/:slug', optionalAuth, getProductsByCategory);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,31 @@
+const express = require('express');
+const {
+  createReturnRequest,
+  getMyReturnRequests,
+  getReturnRequestById,
+  getReturnRequests,
+  updateReturnRequestStatus,
+} = require('../controllers/returnController');
+const { uploadImages } = require('../controllers/uploadController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const upload = require('../middleware/uploadMiddleware');
+
+const router = express.Router();
+
+// Keep customer photos apart from product images on Cloudinary
+const returnPhotosFolder = (req, res, next) => {
+  req.uploadFolder = 'nighty-store/returns';
+  next();
+};
+
+// USER ROUTES
+router.post('/', protect, createReturnRequest);
+router.get('/mine', protect, getMyReturnRequests);
+router.post('/photos', protect, returnPhotosFolder, upload.array('images', 5), uploadImages);
+router.get('/:id', protect, getReturnRequestById);
+
+// ADMIN ROUTES
+router.get('/', protect, requirePermission('returns:read'), getReturnRequests);
+router.put('/:id/status', protect, requirePermission('returns:update'), updateReturnRequestStatus);
+
+module.exports = router;
@@ -1,25 +1,73 @@
 const express = require('express');
 const router = express.Router();
-const { registerUser, authUser } = require('../controllers/authController');
+const {
+  registerUser,
+  authUser,
+  refreshAccessToken,
+  logoutUser,
+  forgotPassword,
+  resetUserPassword,
+  sendEmailVerification,
+  verifyEmail,
+  sendPhoneVerification,
+  verifyPhone,
+} = require('../controllers/authController');
 const {
   getUsers,
+  getRoles,
   getUserById,
   updateUser,
   deleteUser,
 } = require('../controllers/userController');
-const { protect, admin } = require('../middleware/authMiddleware');
+const {
+  getProfile,
+  updateProfile,
+  changePassword,
+  getAddresses,
+  addAddress,
+  updateAddress,
+  deleteAddress,
+} = require('../controllers/profileController');
+const { protect, optionalAuth, requirePermission } = require('../middleware/authMiddleware');
+const {
+  loginLimiter,
+  forgotPasswordLimiter,
+  otpLimiter,
+} = require('../middleware/rateLimitMiddleware');
 
 
 router.post('/', registerUser);
-router.post('/login', authUser);
+router.post('/login', loginLimiter, authUser);
+router.post('/refresh', refreshAccessToken);
+router.post('/logout', optionalAuth, logoutUser);
+router.post('/forgot-password', forgotPasswordLimiter, forgotPassword);
+router.post('/reset-password', resetUserPassword);
+router.post('/verify-email/send', protect, sendEmailVerification);
+router.post('/verify-email', verifyEmail);
+router.post('/verify-phone/send', protect, otpLimiter, sendPhoneVerification);
+router.post('/verify-phone', protect, otpLimiter, verifyPhone);
 
 
 router.route('/')
-  .get(protect, admin, getUsers);
+  .get(protect, requirePermission('users:read'), getUsers);
+
+router.get('/roles', protect, requirePermission('users:read'), getRoles);
+
+// The logged in customer's own account (before /:id so "profile" is not an id)
+router.route('/profile')
+  .get(protect, getProfile)
+  .put(protect, updateProfile);
+router.put('/profile/password', protect, changePassword);
+router.route('/profile/addresses')
+  .get(protect, getAddresses)
+  .post(protect, addAddress);
+router.route('/profile/addresses/:addressId')
+  .put(protect, updateAddress)
+  .delete(protect, deleteAddress);
 
 router.route('/:id')
-  .get(protect, admin, getUserById)
-  .put(protect, admin, updateUser)
-  .delete(protect, admin, deleteUser);
+  .get(protect, requirePermission('users:read'), getUserById)
+  .put(protect, requirePermission('users:update'), updateUser)
+  .delete(protect, requirePermission('users:delete'), deleteUser);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,35 @@
+// One-off migration: give every product created before slugs existed a
+// slug generated from its name.
+// Usage: npm run migrate:slugs
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Product = require('../models/Product');
+const { uniqueSlug } = require('../utils/slug');
+
+const migrate = async () => {
+  await connectDB();
+
+  const products = await Product.find({
+    $or: [{ slug: { $exists: false } }, { slug: null }, { slug: '' }]
+  }).select('name');
+
+  for (const product of products) {
+    const slug = await uniqueSlug(Product, product.name, {
+      excludeId: product._id,
+      historyField: 'previousSlugs'
+    });
+
+    // Plain update: older documents may not pass today's full schema validation
+    await Product.updateOne({ _id: product._id }, { $set: { slug } });
+  }
+
+  console.log(`Slug backfill done: ${products.length} products updated`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('Slug backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,67 @@
+// One-off migration: file every product under a Category document.
+// Category strings that only differ in case, spacing or punctuation
+// ("Cotton", "cotton ", "COTTON") share one slug and become one category,
+// named after the most common spelling. Everything else becomes its own
+// top-level category, to be renamed or nested by an admin afterwards.
+// Usage: npm run migrate:categories
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { slugify } = require('../utils/slug');
+
+const migrate = async () => {
+  await connectDB();
+
+  // How often each spelling is used by products not yet migrated
+  const spellings = await Product.aggregate([
+    { $match: { categoryId: { $exists: false } } },
+    { $group: { _id: '$category', count: { $sum: 1 } } },
+    { $sort: { count: -1 } }
+  ]);
+
+  const groups = new Map();
+  for (const { _id: spelling, count } of spellings) {
+    const slug = slugify(spelling);
+    if (!slug) {
+      console.warn(`Skipping ${count} product(s) with category "${spelling}": no usable name`);
+      continue;
+    }
+    if (!groups.has(slug)) {
+      groups.set(slug, { name: String(spelling).trim(), spellings: [] });
+    }
+    groups.get(slug).spellings.push(spelling);
+  }
+
+  let created = 0;
+  let migrated = 0;
+
+  for (const [slug, group] of groups) {
+    let category = await Category.findOne({ slug });
+    if (!category) {
+      category = await Category.create({ name: group.name, slug });
+      created++;
+    }
+
+    // Plain update: older documents may not pass today's full schema validation
+    const result = await Product.updateMany(
+      { categoryId: { $exists: false }, category: { $in: group.spellings } },
+      { $set: { categoryId: category._id, category: category.name } }
+    );
+    migrated += result.modifiedCount;
+
+    if (group.spellings.length > 1) {
+      console.log(`Merged ${group.spellings.map(s => `"${s}"`).join(', ')} into "${category.name}"`);
+    }
+  }
+
+  console.log(`Category migration done: ${created} categories created, ${migrated} products migrated`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('Category migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,26 @@
+// One-off migration: products created before the draft/published lifecycle
+// were all live, so mark them published (new products start as drafts).
+// Usage: npm run migrate:status
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Product = require('../models/Product');
+
+const migrate = async () => {
+  await connectDB();
+
+  // Plain update: older documents may not pass today's full schema validation
+  const result = await Product.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: 'published', publishAt: null, unpublishAt: null, deletedAt: null } }
+  );
+
+  console.log(`Status migration done: ${result.modifiedCount} products published`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('Status migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,43 @@
+// One-off migration: give every product without variants one variant per
+// size, splitting its current countInStock across those sizes.
+// Usage: npm run migrate:variants
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Product = require('../models/Product');
+const { buildVariantsFromSizes } = require('../utils/variants');
+
+const migrate = async () => {
+  await connectDB();
+
+  const products = await Product.find({
+    $or: [{ variants: { $exists: false } }, { variants: { $size: 0 } }]
+  }).select('name sizes countInStock');
+
+  let migrated = 0;
+  let skipped = 0;
+
+  for (const product of products) {
+    const variants = buildVariantsFromSizes(product._id, product.sizes, product.countInStock);
+
+    if (variants.length === 0) {
+      console.warn(`Skipping ${product._id} (${product.name}): no sizes`);
+      skipped++;
+      continue;
+    }
+
+    // Plain update: older documents may not pass today's full schema validation.
+    // The split adds up to the old countInStock, so the flat fields stay correct.
+    await Product.updateOne({ _id: product._id }, { $set: { variants } });
+    migrated++;
+  }
+
+  console.log(`Variant migration done: ${migrated} migrated, ${skipped} skipped`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('Variant migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,43 @@
+// One-off migration: reviews written before moderation have no status, so
+// the moderation queue and public filters skip them. They were all shown,
+// so mark them approved and recount each product's rating/numReviews.
+// Usage: npm run migrate:reviews
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Product = require('../models/Product');
+
+const migrate = async () => {
+  await connectDB();
+
+  const products = await Product.find({
+    reviews: { $elemMatch: { status: { $exists: false } } }
+  }).select('name reviews');
+
+  // Loading applies the schema default, so the missing statuses now read 'approved'
+  for (const product of products) {
+    product.recalculateRating();
+
+    // Plain update: older documents may not pass today's full schema validation
+    await Product.updateOne(
+      { _id: product._id },
+      {
+        $set: {
+          'reviews.$[review].status': 'approved',
+          rating: product.rating,
+          numReviews: product.numReviews
+        }
+      },
+      { arrayFilters: [{ 'review.status': { $exists: false } }] }
+    );
+  }
+
+  console.log(`Review status migration done: ${products.length} products updated`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('Review status migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,59 @@
+// One-off migration: copy the single `address` users had before the address
+// book into `addresses` as their default entry.
+// Usage: npm run migrate:addresses
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+
+const migrate = async () => {
+  await connectDB();
+
+  const users = await User.find({
+    'address.street': { $nin: [null, ''] },
+    $or: [{ addresses: { $exists: false } }, { addresses: { $size: 0 } }]
+  }).select('name phone address').lean();
+
+  let migrated = 0;
+  let skipped = 0;
+
+  for (const user of users) {
+    const { street, city, state, postalCode, country } = user.address;
+
+    // Entries need a street, city and postal code
+    if (!city || !postalCode) {
+      skipped += 1;
+      continue;
+    }
+
+    // Plain update: older documents may not pass today's full schema validation
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        addresses: [{
+          _id: new mongoose.Types.ObjectId(),
+          label: 'Home',
+          fullName: user.name,
+          phone: user.phone,
+          address: street,
+          city,
+          state,
+          postalCode,
+          country: country || 'India',
+          isDefault: true,
+          createdAt: new Date(),
+          updatedAt: new Date()
+        }]
+      }
+    });
+    migrated += 1;
+  }
+
+  console.log(`Address migration done: ${migrated} users migrated, ${skipped} incomplete addresses skipped`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('Address migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
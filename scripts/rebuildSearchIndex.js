@@ -0,0 +1,31 @@
+// Replace the product text index with the weighted one defined on the schema.
+// MongoDB keeps only one text index per collection, so the old one must go first.
+// Usage: npm run search:reindex
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Product = require('../models/Product');
+
+const rebuild = async () => {
+  await connectDB();
+
+  const indexes = await Product.collection.indexes();
+  const textIndexes = indexes.filter(index =>
+    Object.values(index.key).includes('text') && index.name !== 'product_text_search'
+  );
+
+  for (const index of textIndexes) {
+    console.log(`Dropping old text index ${index.name}`);
+    await Product.collection.dropIndex(index.name);
+  }
+
+  await Product.createIndexes();
+  console.log('Product search index is up to date');
+};
+
+rebuild()
+  .catch((error) => {
+    console.error('Search index rebuild failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
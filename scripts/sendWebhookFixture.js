@@ -0,0 +1,50 @@
+// Sign a Razorpay webhook fixture with RAZORPAY_WEBHOOK_SECRET and POST it
+// to a running server, exactly as Razorpay would.
+// Usage: npm run webhook:send -- <event> <razorpayOrderId> [eventId]
+//   e.g. npm run webhook:send -- payment.captured order_QaB12cD34eF56g
+// The Razorpay order id is the `razorpayOrderId` stored on our Order at checkout.
+// Re-using the same eventId replays the event (it should be ignored).
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const [event, razorpayOrderId, eventId = `evt_fixture_${Date.now()}`] = process.argv.slice(2);
+const fixturePath = path.join(__dirname, 'fixtures', 'razorpay', `${event}.json`);
+
+if (!event || !fs.existsSync(fixturePath)) {
+  const available = fs.readdirSync(path.dirname(fixturePath)).map(f => path.basename(f, '.json'));
+  console.error(`Usage: sendWebhookFixture <event> <razorpayOrderId> [eventId]\nEvents: ${available.join(', ')}`);
+  process.exit(1);
+}
+
+if (!process.env.RAZORPAY_WEBHOOK_SECRET) {
+  console.error('RAZORPAY_WEBHOOK_SECRET is not set');
+  process.exit(1);
+}
+
+const body = fs.readFileSync(fixturePath, 'utf8')
+  .replace(/__RAZORPAY_ORDER_ID__/g, razorpayOrderId || '');
+const signature = crypto
+  .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
+  .update(body)
+  .digest('hex');
+
+const url = `http://localhost:${process.env.PORT || 5000}/api/payment/webhook`;
+
+fetch(url, {
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json',
+    'X-Razorpay-Signature': signature,
+    'X-Razorpay-Event-Id': eventId,
+  },
+  body,
+})
+  .then(async (response) => {
+    console.log(`${event} (${eventId}) -> ${response.status}`, await response.text());
+  })
+  .catch((error) => {
+    console.error('Could not reach the server:', error.message);
+    process.exitCode = 1;
+  });
@@ -11,6 +11,12 @@ const productRoutes = require('./routes/productRoutes');
 const uploadRoutes = require('./routes/uploadRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
 const orderRoutes = require('./routes/orderRoutes');
+const returnRoutes = require('./routes/returnRoutes');
+const couponRoutes = require('./routes/couponRoutes');
+const cartRoutes = require('./routes/cartRoutes');
+const wishlistRoutes = require('./routes/wishlistRoutes');
+const categoryRoutes = require('./routes/categoryRoutes');
+const sitemapRoutes = require('./routes/sitemapRoutes');
 
 // Initialize App
 const app = express();
@@ -26,7 +32,14 @@ app.use(hpp()); // Prevent HTTP Parameter Pollution
 // app.use(mongoSanitize()); // Prevent NoSQL Injection
 
 // 2. Body Parser
-app.use(express.json()); // Parse JSON bodies
+app.use(express.json({
+  // Keep the raw bytes: the Razorpay webhook signature is computed over them
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payment/webhook')) {
+      req.rawBody = buf;
+    }
+  },
+})); // Parse JSON bodies
 
 
 // MOUNT ROUTES
@@ -35,7 +48,13 @@ app.use('/api/products', productRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/payment', paymentRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/wishlist', wishlistRoutes);
+app.use('/api/categories', categoryRoutes);
 app.use('/api/admin', require('./routes/adminRoutes'));
+app.use('/', sitemapRoutes);
 const path = require('path');
 app.use('/uploads', express.static(path.join(__dirname, '/uploads')));
 
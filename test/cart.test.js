@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const { mergeGuestCart } = require('../utils/cart');
+
+const userId = new mongoose.Types.ObjectId();
+
+const product = (overrides = {}) => Product.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Robe',
+  price: 500,
+  status: 'published',
+  deletedAt: null,
+  sizes: ['M', 'L'],
+  countInStock: 5,
+  variants: [
+    { sku: 'ROBE-M', size: 'M', countInStock: 3 },
+    { sku: 'ROBE-L', size: 'L', countInStock: 2, price: 550 },
+  ],
+  ...overrides,
+});
+
+// Serve the guest and user carts and the catalog from memory
+const stubCarts = (t, { guestCart, userCart = null, products = [] }) => {
+  t.mock.method(Cart, 'findOne', async (filter) => (filter.guestId ? guestCart : userCart));
+  t.mock.method(Product, 'findById', async (id) =>
+    products.find(p => p._id.equals(id)) || null);
+  t.mock.method(Cart.prototype, 'save', async function() { return this; });
+  t.mock.method(Cart.prototype, 'deleteOne', async function() { return this; });
+};
+
+const cart = (fields, items) => Cart.hydrate({ _id: new mongoose.Types.ObjectId(), ...fields, items });
+
+test('guest lines are added to the user cart and the guest cart is removed', async (t) => {
+  const robe = product();
+  const guestCart = cart({ guestId: 'guest-1' }, [{ product: robe._id, size: 'M', qty: 2, price: 450 }]);
+  const userCart = cart({ user: userId }, []);
+  stubCarts(t, { guestCart, userCart, products: [robe] });
+
+  await mergeGuestCart(userId, 'guest-1');
+
+  assert.deepEqual(userCart.items.map(i => [i.size, i.qty, i.price]), [['M', 2, 500]]);
+  assert.equal(Cart.prototype.save.mock.callCount(), 1);
+  assert.equal(Cart.prototype.deleteOne.mock.callCount(), 1);
+  assert.equal(Cart.prototype.deleteOne.mock.calls[0].this, guestCart);
+});
+
+test('matching lines add up, capped at the stock left', async (t) => {
+  const robe = product();
+  const guestCart = cart({ guestId: 'guest-1' }, [{ product: robe._id, size: 'L', qty: 2, price: 550 }]);
+  const userCart = cart({ user: userId }, [{ product: robe._id, size: 'L', qty: 1, price: 550 }]);
+  stubCarts(t, { guestCart, userCart, products: [robe] });
+
+  await mergeGuestCart(userId, 'guest-1');
+
+  assert.deepEqual(userCart.items.map(i => [i.size, i.qty]), [['L', 2]]);
+});
+
+test('different colours stay separate lines', async (t) => {
+  const robe = product({
+    variants: [
+      { sku: 'ROBE-M-RED', size: 'M', color: 'Red', countInStock: 3 },
+      { sku: 'ROBE-M-BLUE', size: 'M', color: 'Blue', countInStock: 3 },
+    ],
+  });
+  const guestCart = cart({ guestId: 'guest-1' }, [{ product: robe._id, size: 'M', color: 'Blue', qty: 1, price: 500 }]);
+  const userCart = cart({ user: userId }, [{ product: robe._id, size: 'M', color: 'Red', qty: 1, price: 500 }]);
+  stubCarts(t, { guestCart, userCart, products: [robe] });
+
+  await mergeGuestCart(userId, 'guest-1');
+
+  assert.deepEqual(userCart.items.map(i => [i.color, i.qty]), [['Red', 1], ['Blue', 1]]);
+});
+
+test('lines that are no longer for sale or out of stock are dropped', async (t) => {
+  const archived = product({ status: 'archived' });
+  const soldOut = product({ variants: [{ sku: 'ROBE-M', size: 'M', countInStock: 0 }] });
+  const guestCart = cart({ guestId: 'guest-1' }, [
+    { product: archived._id, size: 'M', qty: 1, price: 500 },
+    { product: soldOut._id, size: 'M', qty: 1, price: 500 },
+    { product: new mongoose.Types.ObjectId(), size: 'M', qty: 1, price: 500 },
+    { product: soldOut._id, size: 'XXL', qty: 1, price: 500 },
+  ]);
+  const userCart = cart({ user: userId }, []);
+  stubCarts(t, { guestCart, userCart, products: [archived, soldOut] });
+
+  await mergeGuestCart(userId, 'guest-1');
+
+  assert.equal(userCart.items.length, 0);
+});
+
+test('a user without a cart gets a new one', async (t) => {
+  const robe = product();
+  const guestCart = cart({ guestId: 'guest-1' }, [{ product: robe._id, size: 'M', qty: 1, price: 500 }]);
+  stubCarts(t, { guestCart, products: [robe] });
+
+  await mergeGuestCart(userId, 'guest-1');
+
+  const saved = Cart.prototype.save.mock.calls[0].this;
+  assert.ok(saved.user.equals(userId));
+  assert.equal(saved.items.length, 1);
+});
+
+test('nothing happens without a guest cart', async (t) => {
+  stubCarts(t, { guestCart: null });
+
+  await mergeGuestCart(userId, undefined);
+  await mergeGuestCart(userId, 'missing');
+
+  assert.equal(Cart.prototype.save.mock.callCount(), 0);
+});
@@ -0,0 +1,126 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const CouponUsage = require('../models/CouponUsage');
+const { applyCoupon, redeemCoupon } = require('../utils/coupons');
+
+const user = { _id: new mongoose.Types.ObjectId() };
+const orderItems = [{ product: new mongoose.Types.ObjectId(), price: 500, qty: 2 }];
+
+const coupon = (overrides = {}) => Coupon.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  code: 'SAVE10',
+  type: 'percentage',
+  value: 10,
+  minCartValue: 0,
+  categories: [],
+  products: [],
+  usageLimit: null,
+  perUserLimit: 1,
+  usedCount: 0,
+  isActive: true,
+  ...overrides,
+});
+
+// Serve one coupon and the user's usage of it
+const stubCoupon = (t, found, usage = null) => {
+  t.mock.method(Coupon, 'findOne', async () => found);
+  t.mock.method(CouponUsage, 'findOne', async () => usage);
+};
+
+test('applyCoupon works out percentage, capped and flat discounts', async (t) => {
+  stubCoupon(t, coupon());
+  assert.equal((await applyCoupon('save10', { user, orderItems })).discount, 100);
+
+  stubCoupon(t, coupon({ maxDiscount: 60 }));
+  assert.equal((await applyCoupon('SAVE10', { user, orderItems })).discount, 60);
+
+  stubCoupon(t, coupon({ type: 'flat', value: 1500 }));
+  assert.equal((await applyCoupon('SAVE10', { user, orderItems })).discount, 1000);
+
+  stubCoupon(t, coupon({ type: 'free_shipping' }));
+  const freeShipping = await applyCoupon('SAVE10', { user, orderItems });
+  assert.equal(freeShipping.discount, 0);
+  assert.equal(freeShipping.freeShipping, true);
+});
+
+test('applyCoupon refuses a coupon that has reached its usage limit', async (t) => {
+  stubCoupon(t, coupon({ usageLimit: 5, usedCount: 5 }));
+
+  await assert.rejects(applyCoupon('SAVE10', { user, orderItems }), {
+    statusCode: 400,
+    message: 'This coupon has reached its usage limit',
+  });
+});
+
+test('applyCoupon refuses a customer who has used up their own limit', async (t) => {
+  stubCoupon(t, coupon({ perUserLimit: 2 }), { count: 2 });
+  await assert.rejects(applyCoupon('SAVE10', { user, orderItems }), {
+    statusCode: 400,
+    message: 'You have already used this coupon',
+  });
+
+  stubCoupon(t, coupon({ perUserLimit: 2 }), { count: 1 });
+  assert.equal((await applyCoupon('SAVE10', { user, orderItems })).discount, 100);
+});
+
+test('applyCoupon checks dates, the active flag and the minimum cart value', async (t) => {
+  const day = 24 * 60 * 60 * 1000;
+  const cases = [
+    [null, 'Invalid coupon code'],
+    [coupon({ isActive: false }), 'Invalid coupon code'],
+    [coupon({ startsAt: new Date(Date.now() + day) }), 'This coupon is not active yet'],
+    [coupon({ expiresAt: new Date(Date.now() - day) }), 'This coupon has expired'],
+    [coupon({ minCartValue: 1200 }), 'Add items worth ₹200 more to use this coupon'],
+  ];
+
+  for (const [found, message] of cases) {
+    stubCoupon(t, found);
+    await assert.rejects(applyCoupon('SAVE10', { user, orderItems }), { statusCode: 400, message });
+  }
+});
+
+test('redeemCoupon counts a use only while the overall limit allows it', async (t) => {
+  const limited = coupon({ usageLimit: 1 });
+  const couponUpdate = t.mock.method(Coupon, 'updateOne', async () => ({ modifiedCount: 1 }));
+  const usageUpdate = t.mock.method(CouponUsage, 'findOneAndUpdate', async () => ({ count: 1 }));
+
+  await redeemCoupon(limited, user._id, 'session');
+
+  const [filter, update, options] = couponUpdate.mock.calls[0].arguments;
+  assert.deepEqual(filter.$or, [
+    { usageLimit: null },
+    { $expr: { $lt: ['$usedCount', '$usageLimit'] } },
+  ]);
+  assert.deepEqual(update, { $inc: { usedCount: 1 } });
+  assert.equal(options.session, 'session');
+
+  const [usageFilter, usageChange, usageOptions] = usageUpdate.mock.calls[0].arguments;
+  assert.deepEqual(usageFilter.count, { $lt: 1 });
+  assert.deepEqual(usageChange, { $inc: { count: 1 } });
+  assert.equal(usageOptions.upsert, true);
+});
+
+test('redeemCoupon gives 409 when another order took the last use', async (t) => {
+  t.mock.method(Coupon, 'updateOne', async () => ({ modifiedCount: 0 }));
+  const usageUpdate = t.mock.method(CouponUsage, 'findOneAndUpdate', async () => null);
+
+  await assert.rejects(redeemCoupon(coupon({ usageLimit: 1 }), user._id, 'session'), {
+    statusCode: 409,
+    message: 'This coupon has reached its usage limit',
+  });
+  assert.equal(usageUpdate.mock.callCount(), 0);
+});
+
+test('redeemCoupon gives 409 when the customer is already at their limit', async (t) => {
+  t.mock.method(Coupon, 'updateOne', async () => ({ modifiedCount: 1 }));
+  t.mock.method(CouponUsage, 'findOneAndUpdate', async () => {
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+  });
+
+  await assert.rejects(redeemCoupon(coupon(), user._id, 'session'), {
+    statusCode: 409,
+    message: 'You have already used this coupon',
+  });
+});
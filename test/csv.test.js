@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, parseCsvRecords, toCsvLine } = require('../utils/csv');
+
+test('parseCsv reads quoted fields, "" escapes and embedded newlines', () => {
+  const rows = parseCsv('name,notes\r\n"Robe, silk","Said ""soft""\nand light"\r\nGown,\n');
+
+  assert.deepEqual(rows, [
+    ['name', 'notes'],
+    ['Robe, silk', 'Said "soft"\nand light'],
+    ['Gown', ''],
+  ]);
+});
+
+test('parseCsv skips blank lines and a byte order mark', () => {
+  assert.deepEqual(parseCsv('\uFEFFa,b\n\n\r\n1,2'), [['a', 'b'], ['1', '2']]);
+});
+
+test('parseCsv throws on an unterminated quote', () => {
+  assert.throws(() => parseCsv('a,"b\n1,2'), /Unterminated quoted field/);
+});
+
+test('parseCsvRecords keys rows by lowercased header and numbers them from 2', () => {
+  const { columns, records } = parseCsvRecords(' Name ,SKU\nRobe , R-1\n');
+
+  assert.deepEqual(columns, ['name', 'sku']);
+  assert.deepEqual(records, [{ _row: 2, name: 'Robe', sku: 'R-1' }]);
+});
+
+test('toCsvLine quotes cells that need it and ends with CRLF', () => {
+  const line = toCsvLine(['plain', 'a,b', 'say "hi"', 'two\nlines', 3, null, undefined]);
+
+  assert.equal(line, 'plain,"a,b","say ""hi""","two\nlines",3,,\r\n');
+});
+
+test('toCsvLine writes dates as ISO strings', () => {
+  assert.equal(toCsvLine([new Date('2024-01-02T03:04:05Z')]), '2024-01-02T03:04:05.000Z\r\n');
+});
+
+test('toCsvLine neutralises formulas and parseCsvRecords undoes it', () => {
+  const line = toCsvLine(['=SUM(A1:A2)', '+1', '-2', '@cmd', -2]);
+  assert.equal(line, "'=SUM(A1:A2),'+1,'-2,'@cmd,-2\r\n");
+
+  const { records } = parseCsvRecords(`a,b,c,d,e\r\n${line}`);
+  assert.deepEqual(records[0], { _row: 2, a: '=SUM(A1:A2)', b: '+1', c: '-2', d: '@cmd', e: '-2' });
+});
+
+test('a written line parses back to the same cells', () => {
+  const cells = ['Robe, silk', 'Said "soft"', 'two\r\nlines', ''];
+  assert.deepEqual(parseCsv(toCsvLine(cells)), [cells]);
+});
@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Pin the pricing rules so the expected totals do not depend on .env
+process.env.TAX_RATE = '0.05';
+process.env.SHIPPING_FEE = '49';
+process.env.FREE_SHIPPING_THRESHOLD = '999';
+
+const { calcPrices, assertClientTotals, roundPrice } = require('../utils/orderPricing');
+
+test('calcPrices adds shipping and tax below the free shipping threshold', () => {
+  const totals = calcPrices([{ price: 199.99, qty: 2 }, { price: 100, qty: 1 }]);
+
+  assert.deepEqual(totals, {
+    itemsPrice: 499.98,
+    discountPrice: 0,
+    taxPrice: 25,
+    shippingPrice: 49,
+    totalPrice: 573.98,
+  });
+});
+
+test('calcPrices ships free from the threshold or with a free shipping coupon', () => {
+  assert.equal(calcPrices([{ price: 999, qty: 1 }]).shippingPrice, 0);
+  assert.equal(calcPrices([{ price: 100, qty: 1 }], { freeShipping: true }).shippingPrice, 0);
+});
+
+test('calcPrices takes the discount off before tax and never below zero', () => {
+  const discounted = calcPrices([{ price: 1000, qty: 1 }], { discount: 200 });
+  assert.equal(discounted.discountPrice, 200);
+  assert.equal(discounted.taxPrice, 40);
+  assert.equal(discounted.totalPrice, 840);
+
+  const capped = calcPrices([{ price: 100, qty: 1 }], { discount: 500 });
+  assert.equal(capped.discountPrice, 100);
+  assert.equal(capped.taxPrice, 0);
+  assert.equal(capped.totalPrice, 49);
+});
+
+test('roundPrice rounds to paise', () => {
+  assert.equal(roundPrice(1.005), 1.01);
+  assert.equal(roundPrice(0.1 + 0.2), 0.3);
+});
+
+test('assertClientTotals accepts matching totals, rounding noise and omitted ones', () => {
+  const server = calcPrices([{ price: 499, qty: 1 }]);
+
+  assert.doesNotThrow(() => assertClientTotals({ ...server }, server));
+  assert.doesNotThrow(() => assertClientTotals({ totalPrice: server.totalPrice + 0.005 }, server));
+  assert.doesNotThrow(() => assertClientTotals({ totalPrice: String(server.totalPrice) }, server));
+  assert.doesNotThrow(() => assertClientTotals({ taxPrice: null }, server));
+  assert.doesNotThrow(() => assertClientTotals({}, server));
+});
+
+test('assertClientTotals rejects totals that differ and lists them', () => {
+  const server = calcPrices([{ price: 499, qty: 1 }]);
+
+  assert.throws(
+    () => assertClientTotals({ itemsPrice: 1, totalPrice: 1 }, server),
+    (error) => {
+      assert.equal(error.statusCode, 400);
+      assert.match(error.message, /itemsPrice, totalPrice$/);
+      assert.deepEqual(error.details, { expected: server });
+      return true;
+    }
+  );
+});
+
+test('assertClientTotals rejects totals that are not finite numbers', () => {
+  const server = calcPrices([{ price: 499, qty: 1 }]);
+
+  for (const value of ['abc', '', '  ', true, NaN, Infinity, {}, []]) {
+    assert.throws(
+      () => assertClientTotals({ totalPrice: value }, server),
+      { statusCode: 400 },
+      `totalPrice ${JSON.stringify(value)} should be rejected`
+    );
+  }
+});
@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { resolveRefund, returnedQtyByItem } = require('../utils/orderRefunds');
+
+const shirt = new mongoose.Types.ObjectId();
+const robe = new mongoose.Types.ObjectId();
+
+// Paid order: 2 x 400 + 1 x 200 of items, 5% tax, free shipping
+const paidOrder = (overrides = {}) => Order.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  orderStatus: 'Delivered',
+  isPaid: true,
+  paymentResult: { id: 'pay_123', status: 'success' },
+  orderItems: [
+    { _id: shirt, name: 'Shirt', qty: 2, price: 400 },
+    { _id: robe, name: 'Robe', qty: 1, price: 200 },
+  ],
+  itemsPrice: 1000,
+  taxPrice: 50,
+  shippingPrice: 0,
+  totalPrice: 1050,
+  amountRefunded: 0,
+  refunds: [],
+  ...overrides,
+});
+
+const closedReturn = (orderItem, qty) => ({
+  type: 'return',
+  status: 'Closed',
+  items: [{ orderItem, qty }],
+});
+
+test('cancelled orders refund everything still refundable', () => {
+  const order = paidOrder({ orderStatus: 'Cancelled', amountRefunded: 50 });
+
+  assert.deepEqual(resolveRefund(order, {}), { amount: 1000, items: [] });
+});
+
+test('other orders default to the returned units at their share of the total', () => {
+  const returnedQty = returnedQtyByItem([closedReturn(shirt, 1)]);
+
+  const refund = resolveRefund(paidOrder(), { returnedQty });
+
+  // 400 of 1000 items, so 40% of the 1050 paid
+  assert.equal(refund.amount, 400);
+  assert.deepEqual(refund.items.map(i => [i.orderItem.toString(), i.qty]), [[shirt.toString(), 1]]);
+  assert.equal(resolveRefund(paidOrder(), { returnedQty, amount: 420 }).amount, 420);
+});
+
+test('an amount above the returned items\' share is refused', () => {
+  const returnedQty = returnedQtyByItem([closedReturn(shirt, 1)]);
+
+  assert.throws(() => resolveRefund(paidOrder(), { returnedQty, amount: 420.01 }), {
+    statusCode: 400,
+    message: 'Refund exceeds the value of the returned items (₹420)',
+  });
+});
+
+test('an amount above what is left to refund is refused', () => {
+  const order = paidOrder({ orderStatus: 'Cancelled', amountRefunded: 1000 });
+
+  assert.throws(() => resolveRefund(order, { amount: 60 }), {
+    statusCode: 400,
+    message: 'Refund exceeds the amount paid (₹50 refundable)',
+  });
+});
+
+test('items that did not come back through a closed return are not refundable', () => {
+  assert.throws(() => resolveRefund(paidOrder(), {}), {
+    statusCode: 400,
+    message: 'Only cancelled orders or items from a closed return can be refunded',
+  });
+
+  const returnedQty = returnedQtyByItem([
+    closedReturn(shirt, 1),
+    { type: 'exchange', status: 'Closed', items: [{ orderItem: robe, qty: 1 }] },
+    { type: 'return', status: 'Received', items: [{ orderItem: robe, qty: 1 }] },
+  ]);
+  assert.throws(() => resolveRefund(paidOrder(), { returnedQty, items: [{ orderItem: robe, qty: 1 }] }), {
+    statusCode: 400,
+    message: 'Invalid refund quantity for Robe (0 refundable)',
+  });
+});
+
+test('units already refunded are not refunded twice', () => {
+  const returnedQty = returnedQtyByItem([closedReturn(shirt, 1)]);
+  const order = paidOrder({
+    amountRefunded: 420,
+    refunds: [{ amount: 420, status: 'processed', items: [{ orderItem: shirt, qty: 1 }] }],
+  });
+
+  assert.throws(() => resolveRefund(order, { returnedQty }), {
+    statusCode: 400,
+    message: 'Every returned item has already been refunded',
+  });
+});
+
+test('unpaid and manually paid orders cannot be refunded', () => {
+  assert.throws(() => resolveRefund(paidOrder({ isPaid: false }), {}), {
+    message: 'Only paid orders can be refunded',
+  });
+  assert.throws(() => resolveRefund(paidOrder({ paymentResult: { id: 'MANUAL-1', status: 'manual' } }), {}), {
+    statusCode: 400,
+  });
+});
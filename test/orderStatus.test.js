@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { canTransition, applyStatusChange } = require('../utils/orderStatus');
+
+const newOrder = (orderStatus = 'Processing') => ({ orderStatus, statusHistory: [] });
+
+test('canTransition follows the order lifecycle', () => {
+  assert.equal(canTransition('Processing', 'Shipped'), true);
+  assert.equal(canTransition('Shipped', 'Delivered'), true);
+  assert.equal(canTransition('Processing', 'Delivered'), false);
+  assert.equal(canTransition('Delivered', 'Cancelled'), false);
+  assert.equal(canTransition('Unknown', 'Shipped'), false);
+});
+
+test('applyStatusChange moves the order and records who changed it', () => {
+  const order = newOrder();
+  const actor = { _id: 'staff-1', role: 'order_fulfilment' };
+
+  applyStatusChange(order, 'Shipped', { actor, note: 'Courier picked up' });
+
+  assert.equal(order.orderStatus, 'Shipped');
+  assert.equal(order.statusHistory.length, 1);
+  const [entry] = order.statusHistory;
+  assert.equal(entry.status, 'Shipped');
+  assert.equal(entry.changedBy, 'staff-1');
+  assert.equal(entry.actorRole, 'order_fulfilment');
+  assert.equal(entry.note, 'Courier picked up');
+  assert.ok(entry.changedAt instanceof Date);
+});
+
+test('applyStatusChange records system changes without an actor', () => {
+  const order = newOrder();
+
+  applyStatusChange(order, 'Cancelled');
+
+  assert.equal(order.statusHistory[0].actorRole, 'system');
+  assert.equal(order.statusHistory[0].changedBy, undefined);
+});
+
+test('applyStatusChange marks delivered orders', () => {
+  const order = newOrder('Out for Delivery');
+
+  applyStatusChange(order, 'Delivered');
+
+  assert.equal(order.isDelivered, true);
+  assert.ok(order.deliveredAt instanceof Date);
+});
+
+test('applyStatusChange rejects unknown statuses and disallowed moves', () => {
+  const order = newOrder('Delivered');
+
+  assert.throws(() => applyStatusChange(order, 'Lost'), {
+    statusCode: 400,
+    message: 'Unknown order status: Lost',
+  });
+  assert.throws(() => applyStatusChange(order, 'Cancelled'), {
+    statusCode: 400,
+    message: 'Cannot change order status from Delivered to Cancelled',
+  });
+  assert.equal(order.orderStatus, 'Delivered');
+  assert.equal(order.statusHistory.length, 0);
+});
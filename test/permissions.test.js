@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { permissionsFor, hasPermission } = require('../utils/permissions');
+const { PERMISSIONS } = require('../config/roles');
+
+test('admins hold every permission', () => {
+  assert.deepEqual(permissionsFor({ role: 'admin' }), PERMISSIONS);
+  assert.equal(hasPermission({ role: 'admin' }, ...PERMISSIONS), true);
+});
+
+test('customers, unknown roles and missing users hold none', () => {
+  for (const user of [{ role: 'user' }, { role: 'owner' }, {}, null, undefined]) {
+    assert.deepEqual(permissionsFor(user), []);
+    assert.equal(hasPermission(user, 'orders:read'), false);
+  }
+});
+
+test('hasPermission needs every permission asked for', () => {
+  const support = { role: 'support' };
+
+  assert.equal(hasPermission(support, 'orders:read'), true);
+  assert.equal(hasPermission(support, 'orders:read', 'returns:update'), true);
+  assert.equal(hasPermission(support, 'orders:read', 'orders:refund'), false);
+});
+
+test('staff roles are limited to their own area', () => {
+  assert.equal(hasPermission({ role: 'catalog_manager' }, 'products:update'), true);
+  assert.equal(hasPermission({ role: 'catalog_manager' }, 'orders:read'), false);
+  assert.equal(hasPermission({ role: 'order_fulfilment' }, 'orders:update'), true);
+  assert.equal(hasPermission({ role: 'order_fulfilment' }, 'users:assign-roles'), false);
+});
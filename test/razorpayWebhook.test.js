@@ -0,0 +1,139 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Stock is taken when the order is placed, so payments touch only the order
+process.env.STOCK_RESERVE_ON = 'order';
+
+const Order = require('../models/Order');
+const WebhookEvent = require('../models/WebhookEvent');
+const { verifyWebhookSignature, getEventId, processWebhookEvent } = require('../utils/razorpayWebhook');
+
+const SECRET = 'whsec_test';
+const sign = (body, secret = SECRET) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+// Stand-in for a query that is awaited after .session(...)
+const sessionQuery = (value) => ({ session: () => Promise.resolve(value) });
+
+// Run processWebhookEvent against in-memory orders and event records
+const stubDatabase = (t, { orders = [], processedEventIds = [] } = {}) => {
+  const session = { id: 'session' };
+  const events = [...processedEventIds];
+  const created = [];
+
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(mongoose.connection, 'transaction', async (fn) => fn(session));
+  t.mock.method(WebhookEvent, 'exists', ({ eventId }) => sessionQuery(events.includes(eventId)));
+  t.mock.method(WebhookEvent, 'create', async ([record]) => {
+    events.push(record.eventId);
+    created.push(record);
+    return [record];
+  });
+  t.mock.method(Order, 'findOne', ({ razorpayOrderId }) =>
+    sessionQuery(orders.find(order => order.razorpayOrderId === razorpayOrderId) || null));
+  orders.forEach(order => t.mock.method(order, 'save', async () => order));
+
+  return { created };
+};
+
+const unpaidOrder = (overrides = {}) => Order.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  razorpayOrderId: 'order_rzp_1',
+  orderStatus: 'Processing',
+  isPaid: false,
+  totalPrice: 1050,
+  orderItems: [],
+  paymentAttempts: [],
+  ...overrides,
+});
+
+const capturedEvent = (amount = 105000) => ({
+  event: 'payment.captured',
+  payload: { payment: { entity: { id: 'pay_1', order_id: 'order_rzp_1', amount, email: 'a@example.com' } } },
+});
+
+test('verifyWebhookSignature accepts only the HMAC of the raw body', () => {
+  const body = Buffer.from('{"event":"payment.captured"}');
+
+  assert.equal(verifyWebhookSignature(body, sign(body), SECRET), true);
+  assert.equal(verifyWebhookSignature(body, sign(body, 'other'), SECRET), false);
+  assert.equal(verifyWebhookSignature(Buffer.from('{"event":"order.paid"}'), sign(body), SECRET), false);
+  assert.equal(verifyWebhookSignature(body, sign(body).slice(0, 10), SECRET), false);
+  assert.equal(verifyWebhookSignature(body, undefined, SECRET), false);
+  assert.equal(verifyWebhookSignature(body, sign(body), undefined), false);
+});
+
+test('getEventId prefers the event id header and falls back to a body hash', () => {
+  const body = Buffer.from('{}');
+
+  assert.equal(getEventId('evt_1', body), 'evt_1');
+  assert.equal(getEventId(undefined, body), getEventId(undefined, Buffer.from('{}')));
+  assert.notEqual(getEventId(undefined, body), getEventId(undefined, Buffer.from('{ }')));
+});
+
+test('a captured payment marks the order paid and records the event', async (t) => {
+  const order = unpaidOrder();
+  const { created } = stubDatabase(t, { orders: [order] });
+
+  const result = await processWebhookEvent('evt_1', capturedEvent());
+
+  assert.deepEqual(result, { duplicate: false, outcome: 'processed' });
+  assert.equal(order.isPaid, true);
+  assert.equal(order.paymentResult.id, 'pay_1');
+  assert.equal(order.paymentAttempts.length, 1);
+  assert.deepEqual(created.map(e => [e.eventId, e.outcome]), [['evt_1', 'processed']]);
+});
+
+test('a replayed event is acknowledged without touching the order', async (t) => {
+  const order = unpaidOrder();
+  const { created } = stubDatabase(t, { orders: [order], processedEventIds: ['evt_1'] });
+
+  const result = await processWebhookEvent('evt_1', capturedEvent());
+
+  assert.deepEqual(result, { duplicate: true, outcome: 'duplicate' });
+  assert.equal(order.isPaid, false);
+  assert.equal(order.save.mock.callCount(), 0);
+  assert.equal(created.length, 0);
+});
+
+test('the same event delivered twice is applied once', async (t) => {
+  const order = unpaidOrder();
+  stubDatabase(t, { orders: [order] });
+
+  await processWebhookEvent('evt_1', capturedEvent());
+  const second = await processWebhookEvent('evt_1', capturedEvent());
+
+  assert.equal(second.duplicate, true);
+  assert.equal(order.paymentAttempts.length, 1);
+});
+
+test('a payment below the order total does not mark it paid', async (t) => {
+  const order = unpaidOrder();
+  stubDatabase(t, { orders: [order] });
+
+  const result = await processWebhookEvent('evt_1', capturedEvent(100000));
+
+  assert.equal(result.outcome, 'amount_mismatch');
+  assert.equal(order.isPaid, false);
+});
+
+test('a payment for a cancelled order is recorded as refund due', async (t) => {
+  const order = unpaidOrder({ orderStatus: 'Cancelled' });
+  stubDatabase(t, { orders: [order] });
+
+  const result = await processWebhookEvent('evt_1', capturedEvent());
+
+  assert.equal(result.outcome, 'paid_cancelled_order');
+  assert.equal(order.isPaid, true);
+  assert.equal(order.stockReserved, false);
+  assert.ok(order.refundDue.flaggedAt instanceof Date);
+});
+
+test('payments for unknown orders and unhandled events are ignored', async (t) => {
+  const { created } = stubDatabase(t);
+
+  assert.equal((await processWebhookEvent('evt_1', capturedEvent())).outcome, 'order_not_found');
+  assert.equal((await processWebhookEvent('evt_2', { event: 'payment.authorized', payload: {} })).outcome, 'ignored');
+  assert.deepEqual(created.map(e => e.outcome), ['order_not_found', 'ignored']);
+});
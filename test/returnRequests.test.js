@@ -0,0 +1,124 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const ReturnRequest = require('../models/ReturnRequest');
+const { createReturnRequest } = require('../controllers/returnController');
+
+const userId = new mongoose.Types.ObjectId();
+const lineId = new mongoose.Types.ObjectId();
+
+const deliveredOrder = () => Order.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  user: userId,
+  orderStatus: 'Delivered',
+  isDelivered: true,
+  deliveredAt: new Date(),
+  orderItems: [{ _id: lineId, product: new mongoose.Types.ObjectId(), name: 'Robe', size: 'M', qty: 2, price: 500 }],
+});
+
+// In-memory stand-in for MongoDB transactions: requests become visible to
+// other sessions on commit, and two open transactions writing the same
+// order conflict, after which the losing one is retried from the start
+// (as withTransaction does on a TransientTransactionError).
+const stubDatabase = (t, order) => {
+  const committed = [];
+  let orderWriter = null;
+  let attempts = 0;
+
+  t.mock.method(mongoose.connection, 'transaction', async (fn) => {
+    for (;;) {
+      const session = { pending: [] };
+      attempts++;
+      try {
+        const result = await fn(session);
+        committed.push(...session.pending);
+        return result;
+      } catch (error) {
+        if (!error.transient) {
+          throw error;
+        }
+      } finally {
+        if (orderWriter === session) {
+          orderWriter = null;
+        }
+      }
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  });
+
+  t.mock.method(Order, 'findById', async () => order);
+  t.mock.method(Order, 'updateOne', async (filter, update, { session }) => {
+    if (orderWriter && orderWriter !== session) {
+      throw Object.assign(new Error('WriteConflict'), { transient: true });
+    }
+    orderWriter = session;
+    return { modifiedCount: 1 };
+  });
+  t.mock.method(ReturnRequest, 'find', () => ({
+    session: async () => committed.filter(request => request.status !== 'Rejected'),
+  }));
+  t.mock.method(ReturnRequest, 'create', async ([doc], { session }) => {
+    await new Promise(resolve => setImmediate(resolve));
+    const request = { ...doc, status: 'Requested' };
+    session.pending.push(request);
+    return [request];
+  });
+
+  return { committed, attempts: () => attempts };
+};
+
+const callCreate = async (order, qty) => {
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  await createReturnRequest({
+    user: { _id: userId, role: 'user' },
+    body: {
+      orderId: order._id.toString(),
+      type: 'return',
+      reason: 'Too small',
+      items: [{ orderItem: lineId.toString(), qty }],
+    },
+  }, res);
+  return res;
+};
+
+test('a return request covers at most the units delivered', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const order = deliveredOrder();
+  const { committed } = stubDatabase(t, order);
+
+  assert.equal((await callCreate(order, 1)).statusCode, 201);
+
+  const tooMany = await callCreate(order, 2);
+  assert.equal(tooMany.statusCode, 400);
+  assert.equal(tooMany.body.message, 'Invalid quantity for Robe (1 returnable)');
+  assert.equal(committed.length, 1);
+});
+
+test('concurrent requests for the same units cannot both be created', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const order = deliveredOrder();
+  const db = stubDatabase(t, order);
+
+  const results = await Promise.all([callCreate(order, 2), callCreate(order, 2)]);
+
+  assert.deepEqual(results.map(r => r.statusCode).sort(), [201, 400]);
+  assert.equal(db.committed.length, 1);
+  assert.equal(db.committed[0].items[0].qty, 2);
+  assert.ok(db.attempts() > 2, 'the losing request should have been retried');
+});
+
+test('the order counter is bumped in the same session that creates the request', async (t) => {
+  const order = deliveredOrder();
+  stubDatabase(t, order);
+
+  await callCreate(order, 1);
+
+  const [filter, update, options] = Order.updateOne.mock.calls[0].arguments;
+  assert.ok(filter._id.equals(order._id));
+  assert.deepEqual(update, { $inc: { returnRequestCount: 1 } });
+  assert.equal(ReturnRequest.create.mock.calls[0].arguments[1].session, options.session);
+});
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  generateSku,
+  findVariant,
+  buildVariantsFromSizes,
+  normalizeVariants,
+  keepStoredStock,
+} = require('../utils/variants');
+
+const productId = '64b7f0c2a1b2c3d4e5f6a7b8';
+
+test('normalizeVariants fills in SKUs and keeps colour, price and id', () => {
+  const variants = normalizeVariants(productId, [
+    { size: 'M', countInStock: '4' },
+    { size: 'L', color: 'Navy Blue', countInStock: 2, price: '599.5', _id: 'variant-1' },
+  ]);
+
+  assert.deepEqual(variants, [
+    { sku: 'F6A7B8-M', size: 'M', countInStock: 4 },
+    { sku: 'F6A7B8-L-NAVY-BLUE', size: 'L', countInStock: 2, color: 'Navy Blue', price: 599.5, _id: 'variant-1' },
+  ]);
+});
+
+test('normalizeVariants keeps a given SKU and treats bad stock as zero', () => {
+  const [variant] = normalizeVariants(productId, [{ size: 'S', sku: 'CUSTOM-S', countInStock: 'lots' }]);
+
+  assert.equal(variant.sku, 'CUSTOM-S');
+  assert.equal(variant.countInStock, 0);
+});
+
+test('normalizeVariants rejects bad input', () => {
+  const cases = [
+    [undefined, 'Variants must be a non-empty array'],
+    [[], 'Variants must be a non-empty array'],
+    [[{ countInStock: 1 }], 'Variant 1 is missing a size'],
+    [[{ size: 'M', color: 'Red' }, { size: 'M', color: 'red' }], 'Duplicate variant for size M / red'],
+    [[{ size: 'M', sku: 'abc' }, { size: 'L', sku: 'ABC' }], 'Duplicate SKU ABC'],
+    [[{ size: 'M', countInStock: -1 }], 'Stock count cannot be negative'],
+    [[{ size: 'M', price: 0 }], 'Variant price must be greater than 0'],
+  ];
+
+  for (const [variants, message] of cases) {
+    assert.throws(() => normalizeVariants(productId, variants), { statusCode: 400, message });
+  }
+});
+
+test('findVariant matches size and colour case-insensitively', () => {
+  const product = {
+    variants: [
+      { sku: 'A', size: 'M' },
+      { sku: 'B', size: 'M', color: 'Red' },
+    ],
+  };
+
+  assert.equal(findVariant(product, 'M').sku, 'A');
+  assert.equal(findVariant(product, 'M', 'RED').sku, 'B');
+  assert.equal(findVariant(product, 'L'), null);
+  assert.equal(findVariant({ variants: [] }, 'M'), null);
+});
+
+test('buildVariantsFromSizes splits stock with the remainder on the first sizes', () => {
+  const variants = buildVariantsFromSizes(productId, ['S', 'M', 'L', 'M'], 8);
+
+  assert.deepEqual(variants.map(v => [v.size, v.countInStock]), [['S', 3], ['M', 3], ['L', 2]]);
+  assert.equal(variants[0].sku, generateSku(productId, 'S'));
+  assert.deepEqual(buildVariantsFromSizes(productId, [], 5), []);
+});
+
+test('keepStoredStock keeps the stored count of existing SKUs', () => {
+  const stored = [{ sku: 'R-M', countInStock: 7 }, { sku: 'R-L', countInStock: 2 }];
+  const sent = [{ size: 'M', sku: 'r-m' }, { size: 'L', sku: 'R-L', countInStock: 2 }, { size: 'XL', countInStock: 5 }];
+  const variants = normalizeVariants(productId, sent);
+
+  assert.deepEqual(keepStoredStock(stored, variants, sent), []);
+  assert.deepEqual(variants.map(v => v.countInStock), [7, 2, 5]);
+});
+
+test('keepStoredStock reports existing SKUs sent with a different count', () => {
+  const stored = [{ sku: 'R-M', countInStock: 7 }];
+  const sent = [{ size: 'M', sku: 'R-M', countInStock: '3' }];
+  const variants = normalizeVariants(productId, sent);
+
+  assert.deepEqual(keepStoredStock(stored, variants, sent), ['R-M']);
+  assert.equal(variants[0].countInStock, 7);
+});
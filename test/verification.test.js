@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Pin the resend limits so the test does not depend on .env
+process.env.VERIFICATION_RESEND_SECONDS = '60';
+process.env.VERIFICATION_MAX_SENDS_PER_HOUR = '5';
+
+const { checkResendAllowed } = require('../utils/verification');
+
+const MINUTE_MS = 60 * 1000;
+const now = new Date('2024-06-01T12:00:00Z');
+const ago = (ms) => new Date(now.getTime() - ms);
+
+test('checkResendAllowed starts a new window for the first code', () => {
+  assert.deepEqual(checkResendAllowed(null, now), { sendCount: 1, sendWindowStartedAt: now });
+});
+
+test('checkResendAllowed counts sends within the hour', () => {
+  const previous = { lastSentAt: ago(2 * MINUTE_MS), sendCount: 2, sendWindowStartedAt: ago(10 * MINUTE_MS) };
+
+  assert.deepEqual(checkResendAllowed(previous, now), {
+    sendCount: 3,
+    sendWindowStartedAt: previous.sendWindowStartedAt,
+  });
+});
+
+test('checkResendAllowed refuses a resend within the cooldown', () => {
+  const previous = { lastSentAt: ago(45 * 1000), sendCount: 1, sendWindowStartedAt: ago(45 * 1000) };
+
+  assert.throws(() => checkResendAllowed(previous, now), (error) => {
+    assert.equal(error.statusCode, 429);
+    assert.deepEqual(error.details, { retryAfter: 15 });
+    return true;
+  });
+});
+
+test('checkResendAllowed refuses more sends than the hourly limit', () => {
+  const previous = { lastSentAt: ago(5 * MINUTE_MS), sendCount: 5, sendWindowStartedAt: ago(40 * MINUTE_MS) };
+
+  assert.throws(() => checkResendAllowed(previous, now), (error) => {
+    assert.equal(error.statusCode, 429);
+    assert.deepEqual(error.details, { retryAfter: 20 * 60 });
+    return true;
+  });
+});
+
+test('checkResendAllowed starts a new window once the hour has passed', () => {
+  const previous = { lastSentAt: ago(5 * MINUTE_MS), sendCount: 5, sendWindowStartedAt: ago(60 * MINUTE_MS) };
+
+  assert.deepEqual(checkResendAllowed(previous, now), { sendCount: 1, sendWindowStartedAt: now });
+});
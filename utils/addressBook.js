@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const httpError = require('./httpError');
+
+// Fields a customer may set on an address book entry
+const ADDRESS_FIELDS = ['label', 'fullName', 'phone', 'address', 'city', 'state', 'postalCode', 'country'];
+
+// @desc    Copy the allowed fields from a request body onto an address entry
+const applyAddressFields = (entry, body) => {
+  ADDRESS_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      entry[field] = body[field] === null ? undefined : String(body[field]);
+    }
+  });
+};
+
+// @desc    Make one entry the default (and no other). With no id, keeps the
+//          current default or falls back to the first entry.
+const settleDefaultAddress = (user, defaultId) => {
+  const addresses = user.addresses;
+  if (addresses.length === 0) {
+    return;
+  }
+
+  const chosen = (defaultId && addresses.id(defaultId)) ||
+    addresses.find(a => a.isDefault) ||
+    addresses[0];
+
+  addresses.forEach(a => {
+    a.isDefault = a._id.equals(chosen._id);
+  });
+};
+
+// @desc    A saved address, shaped for Order.shippingAddress
+//          Throws 400 when the id is not one of the user's addresses.
+const shippingAddressFromBook = (user, addressId) => {
+  const entry = mongoose.isValidObjectId(addressId) && user.addresses
+    ? user.addresses.id(addressId)
+    : null;
+
+  if (!entry) {
+    throw httpError(400, 'Saved address not found');
+  }
+
+  return {
+    fullName: entry.fullName || user.name,
+    address: entry.address,
+    city: entry.city,
+    state: entry.state,
+    postalCode: entry.postalCode,
+    country: entry.country,
+    phone: entry.phone || user.phone
+  };
+};
+
+module.exports = {
+  applyAddressFields,
+  settleDefaultAddress,
+  shippingAddressFromBook,
+};
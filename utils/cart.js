@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const httpError = require('./httpError');
+const { findVariant } = require('./variants');
+const { calcPrices } = require('./orderPricing');
+
+// Current price and units left for one size/colour of a product
+const lineAvailability = (product, size, color) => {
+  if (!product.isPublic()) {
+    return null;
+  }
+
+  const hasVariants = product.variants && product.variants.length > 0;
+  const variant = findVariant(product, size, color);
+
+  if (hasVariants ? !variant : !product.sizes.includes(size)) {
+    return null;
+  }
+
+  return {
+    price: variant && variant.price ? variant.price : product.price,
+    availableQty: variant ? variant.countInStock : product.countInStock,
+    sku: variant ? variant.sku : undefined,
+  };
+};
+
+// @desc    Check a product/size/qty the customer wants in the cart
+//          Returns the product and its current price, or throws a 400.
+const validateCartLine = async ({ product: productId, size, color, qty }) => {
+  if (!mongoose.isValidObjectId(productId)) {
+    throw httpError(400, 'Invalid product id');
+  }
+
+  const quantity = Number(qty);
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    throw httpError(400, 'Quantity must be a positive whole number');
+  }
+
+  const product = await Product.findById(productId);
+  if (!product || !product.isPublic()) {
+    throw httpError(404, 'Product not found');
+  }
+
+  const availability = lineAvailability(product, size, color);
+  if (!availability) {
+    throw httpError(400, `Size "${size}" is not available for ${product.name}`);
+  }
+
+  if (quantity > availability.availableQty) {
+    throw httpError(400, availability.availableQty > 0
+      ? `Only ${availability.availableQty} left of ${product.name} (${size})`
+      : `${product.name} (${size}) is out of stock`);
+  }
+
+  return { product, qty: quantity, price: availability.price };
+};
+
+// @desc    Re-check every line against the catalog and total the cart
+//          Stored prices are refreshed so a change is only flagged once;
+//          the caller saves the cart when `changed` is true.
+const priceCart = async (cart) => {
+  const productIds = cart.items.map(item => item.product);
+  const products = await Product.find({ _id: { $in: productIds } });
+  const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+  let changed = false;
+
+  const items = cart.items.map(item => {
+    const product = productMap.get(item.product.toString());
+    const availability = product ? lineAvailability(product, item.size, item.color) : null;
+
+    if (!availability) {
+      return {
+        _id: item._id,
+        product: item.product,
+        size: item.size,
+        color: item.color,
+        qty: item.qty,
+        price: item.price,
+        available: false,
+        availableQty: 0,
+        message: 'This item is no longer available',
+      };
+    }
+
+    const previousPrice = item.price;
+    if (previousPrice !== availability.price) {
+      item.price = availability.price;
+      changed = true;
+    }
+
+    return {
+      _id: item._id,
+      product: product._id,
+      name: product.name,
+      image: product.imageFor(item.color).thumbnail,
+      size: item.size,
+      color: item.color,
+      sku: availability.sku,
+      qty: item.qty,
+      price: availability.price,
+      priceChanged: previousPrice !== availability.price,
+      previousPrice: previousPrice !== availability.price ? previousPrice : undefined,
+      available: availability.availableQty >= item.qty,
+      availableQty: availability.availableQty,
+    };
+  });
+
+  const purchasable = items.filter(item => item.available);
+
+  return {
+    items,
+    prices: calcPrices(purchasable),
+    changed,
+  };
+};
+
+// @desc    Fold a guest cart into a user's cart
+//          Same product/size/colour lines add up, capped at what is in stock.
+const mergeCartItems = async (targetCart, sourceItems) => {
+  for (const item of sourceItems) {
+    const existing = targetCart.items.find(line =>
+      line.product.toString() === item.product.toString() &&
+      line.size === item.size &&
+      (line.color || '') === (item.color || '')
+    );
+
+    const product = await Product.findById(item.product);
+    const availability = product ? lineAvailability(product, item.size, item.color) : null;
+    if (!availability || availability.availableQty <= 0) {
+      continue;
+    }
+
+    const qty = Math.min((existing ? existing.qty : 0) + item.qty, availability.availableQty);
+
+    if (existing) {
+      existing.qty = qty;
+      existing.price = availability.price;
+    } else {
+      targetCart.items.push({
+        product: item.product,
+        size: item.size,
+        color: item.color,
+        qty,
+        price: availability.price,
+      });
+    }
+  }
+};
+
+// @desc    Move a guest cart into the user's cart (called on login)
+//          The guest cart is deleted once its lines are merged.
+const mergeGuestCart = async (userId, guestId) => {
+  if (!guestId) {
+    return;
+  }
+
+  const guestCart = await Cart.findOne({ guestId: String(guestId) });
+  if (!guestCart || guestCart.items.length === 0) {
+    return;
+  }
+
+  const userCart = await Cart.findOne({ user: userId }) || new Cart({ user: userId, items: [] });
+  await mergeCartItems(userCart, guestCart.items);
+  await userCart.save();
+  await guestCart.deleteOne();
+};
+
+module.exports = { validateCartLine, priceCart, mergeGuestCart };
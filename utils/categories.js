@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const httpError = require('./httpError');
+const { escapeRegex } = require('./productSearch');
+
+// @desc    Find the category a product is being filed under
+//          Accepts a category id, a slug or (for older admin forms) a name.
+//          Throws a 400 when no such category exists.
+const resolveCategory = async (value) => {
+  const key = String(value || '').trim();
+  if (!key) {
+    throw httpError(400, 'Please choose a category');
+  }
+
+  const category = mongoose.isValidObjectId(key)
+    ? await Category.findById(key)
+    : await Category.findOne({ slug: key.toLowerCase() }) ||
+      await Category.findOne({ name: new RegExp(`^${escapeRegex(key)}$`, 'i') });
+
+  if (!category) {
+    throw httpError(400, `Unknown category "${key}". Create it under categories first`);
+  }
+
+  return category;
+};
+
+// @desc    Ids of a category and every category below it
+const getDescendantIds = async (categoryId) => {
+  const all = await Category.find({}).select('parent').lean();
+  const ids = [categoryId.toString()];
+
+  // Breadth-first walk down the parent links
+  for (let i = 0; i < ids.length; i++) {
+    all
+      .filter(c => c.parent && c.parent.toString() === ids[i])
+      .forEach(c => ids.push(c._id.toString()));
+  }
+
+  return ids.map(id => new mongoose.Types.ObjectId(id));
+};
+
+// @desc    Categories from the top level down to this one (for breadcrumbs)
+const getAncestors = async (category) => {
+  const chain = [];
+  const seen = new Set([category._id.toString()]);
+  let parentId = category.parent;
+
+  while (parentId && !seen.has(parentId.toString())) {
+    seen.add(parentId.toString());
+    const parent = await Category.findById(parentId).select('name slug parent');
+    if (!parent) {
+      break;
+    }
+    chain.unshift({ _id: parent._id, name: parent.name, slug: parent.slug });
+    parentId = parent.parent;
+  }
+
+  return chain;
+};
+
+// @desc    Would making `parentId` the parent of `categoryId` create a loop?
+const createsCycle = async (categoryId, parentId) => {
+  let current = parentId;
+  const seen = new Set();
+
+  while (current && !seen.has(current.toString())) {
+    if (current.toString() === categoryId.toString()) {
+      return true;
+    }
+    seen.add(current.toString());
+    const parent = await Category.findById(current).select('parent');
+    current = parent ? parent.parent : null;
+  }
+
+  return false;
+};
+
+// @desc    Nest a flat category list into a tree ordered by `order`, then name
+//          `productCounts` (id -> count) adds each node's own and total counts.
+const buildCategoryTree = (categories, productCounts = new Map()) => {
+  const nodes = new Map(categories.map(c => [c._id.toString(), {
+    _id: c._id,
+    name: c.name,
+    slug: c.slug,
+    description: c.description,
+    image: c.image,
+    order: c.order,
+    productCount: productCounts.get(c._id.toString()) || 0,
+    totalProductCount: 0,
+    children: []
+  }]));
+
+  const roots = [];
+  nodes.forEach((node, id) => {
+    const category = categories.find(c => c._id.toString() === id);
+    const parent = category.parent && nodes.get(category.parent.toString());
+    (parent ? parent.children : roots).push(node);
+  });
+
+  const byOrder = (a, b) => a.order - b.order || a.name.localeCompare(b.name);
+
+  // Sort every level and roll product counts up to the parents
+  const finish = (list) => {
+    list.sort(byOrder);
+    list.forEach(node => {
+      finish(node.children);
+      node.totalProductCount = node.productCount +
+        node.children.reduce((acc, child) => acc + child.totalProductCount, 0);
+    });
+    return list;
+  };
+
+  return finish(roots);
+};
+
+module.exports = {
+  resolveCategory,
+  getDescendantIds,
+  getAncestors,
+  createsCycle,
+  buildCategoryTree,
+};
@@ -0,0 +1,28 @@
+const cloudinary = require('../config/cloudinary');
+
+// Helper function to generate optimized URLs
+const generateOptimizedImage = (publicId) => {
+  const generateUrl = (options) => {
+    return cloudinary.url(publicId, {
+      secure: true,
+      format: 'webp',
+      ...options
+    });
+  };
+
+  return {
+    public_id: publicId,
+    original: generateUrl({}),
+    thumbnail: generateUrl({ width: 350, crop: 'scale' }),
+    medium: generateUrl({ width: 800, crop: 'scale' }),
+    large: generateUrl({ width: 1200, crop: 'scale' }),
+    placeholder: generateUrl({ 
+      width: 20, 
+      crop: 'scale', 
+      effect: 'blur:1000',
+      quality: 1 
+    })
+  };
+};
+
+module.exports = { generateOptimizedImage };
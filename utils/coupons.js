@@ -0,0 +1,134 @@
+const Coupon = require('../models/Coupon');
+const CouponUsage = require('../models/CouponUsage');
+const Product = require('../models/Product');
+const httpError = require('./httpError');
+const { roundPrice } = require('./orderPricing');
+
+// Subtotal of the lines the coupon is allowed to discount
+const eligibleSubtotal = async (coupon, orderItems) => {
+  const scopedProducts = coupon.products.map(id => id.toString());
+  const scopedCategories = coupon.categories.map(c => c.toLowerCase());
+
+  if (scopedProducts.length === 0 && scopedCategories.length === 0) {
+    return orderItems.reduce((acc, item) => acc + item.price * item.qty, 0);
+  }
+
+  const products = await Product.find({ _id: { $in: orderItems.map(i => i.product) } })
+    .select('category');
+  const categoryOf = new Map(products.map(p => [p._id.toString(), (p.category || '').toLowerCase()]));
+
+  return orderItems
+    .filter(item => {
+      const productId = item.product.toString();
+      return scopedProducts.includes(productId) ||
+        scopedCategories.includes(categoryOf.get(productId));
+    })
+    .reduce((acc, item) => acc + item.price * item.qty, 0);
+};
+
+// @desc    Check a coupon code against a priced cart and work out the discount
+//          `user` is optional (the public validate endpoint may be anonymous).
+//          Returns { coupon, discount, freeShipping } or throws a 400.
+const applyCoupon = async (code, { user, orderItems }) => {
+  const coupon = await Coupon.findOne({ code: String(code || '').trim().toUpperCase() });
+
+  if (!coupon || !coupon.isActive) {
+    throw httpError(400, 'Invalid coupon code');
+  }
+
+  const now = new Date();
+  if (coupon.startsAt && now < coupon.startsAt) {
+    throw httpError(400, 'This coupon is not active yet');
+  }
+  if (coupon.expiresAt && now > coupon.expiresAt) {
+    throw httpError(400, 'This coupon has expired');
+  }
+
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    throw httpError(400, 'This coupon has reached its usage limit');
+  }
+
+  if (user) {
+    const usage = await CouponUsage.findOne({ coupon: coupon._id, user: user._id });
+    if (usage && usage.count >= coupon.perUserLimit) {
+      throw httpError(400, 'You have already used this coupon');
+    }
+  }
+
+  const cartValue = orderItems.reduce((acc, item) => acc + item.price * item.qty, 0);
+  if (cartValue < coupon.minCartValue) {
+    throw httpError(400, `Add items worth ₹${roundPrice(coupon.minCartValue - cartValue)} more to use this coupon`);
+  }
+
+  const subtotal = await eligibleSubtotal(coupon, orderItems);
+  if (subtotal <= 0) {
+    throw httpError(400, 'This coupon does not apply to the items in your cart');
+  }
+
+  let discount = 0;
+  if (coupon.type === 'percentage') {
+    discount = subtotal * coupon.value / 100;
+    if (coupon.maxDiscount) {
+      discount = Math.min(discount, coupon.maxDiscount);
+    }
+  } else if (coupon.type === 'flat') {
+    discount = Math.min(coupon.value, subtotal);
+  }
+
+  return {
+    coupon,
+    discount: roundPrice(discount),
+    freeShipping: coupon.type === 'free_shipping',
+  };
+};
+
+// @desc    Count one use of the coupon atomically (inside the order transaction)
+//          Both conditional updates fail once a limit is reached, so two
+//          concurrent orders cannot both take the last use.
+const redeemCoupon = async (coupon, userId, session) => {
+  const result = await Coupon.updateOne(
+    {
+      _id: coupon._id,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { session }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw httpError(409, 'This coupon has reached its usage limit');
+  }
+
+  try {
+    await CouponUsage.findOneAndUpdate(
+      { coupon: coupon._id, user: userId, count: { $lt: coupon.perUserLimit } },
+      { $inc: { count: 1 } },
+      { upsert: true, session }
+    );
+  } catch (error) {
+    // The upsert collides with the existing row once the user is at the limit
+    if (error.code === 11000) {
+      throw httpError(409, 'You have already used this coupon');
+    }
+    throw error;
+  }
+};
+
+// @desc    Give a use back (e.g. the order was cancelled)
+const releaseCoupon = async (couponId, userId, session) => {
+  await Coupon.updateOne(
+    { _id: couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { session }
+  );
+  await CouponUsage.updateOne(
+    { coupon: couponId, user: userId, count: { $gt: 0 } },
+    { $inc: { count: -1 } },
+    { session }
+  );
+};
+
+module.exports = { applyCoupon, redeemCoupon, releaseCoupon };
@@ -0,0 +1,102 @@
+// Minimal RFC 4180 CSV reading and writing (quoted fields, "" escapes,
+// commas and newlines inside quotes, CRLF or LF line endings).
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// @desc    Parse CSV text into an array of rows (arrays of strings)
+//          Blank lines are skipped. Throws on an unterminated quote.
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+// @desc    Parse CSV with a header row into objects keyed by header name
+//          Header names are trimmed and lowercased. Each object also gets
+//          `_row`, its row number as a spreadsheet shows it (header is row 1).
+const parseCsvRecords = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(name => name.trim().toLowerCase());
+
+  return {
+    columns,
+    records: rows.map((cells, index) => {
+      const record = { _row: index + 2 };
+      columns.forEach((column, i) => {
+        record[column] = unescapeCell((cells[i] || '').trim());
+      });
+      return record;
+    })
+  };
+};
+
+// Undo the formula guard added by toCsvCell
+const unescapeCell = (value) =>
+  value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value;
+
+// @desc    One CSV cell: quoted when needed, formulas neutralised
+const toCsvCell = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// @desc    One CSV line (CRLF-terminated, as RFC 4180 asks)
+const toCsvLine = (cells) => `${cells.map(toCsvCell).join(',')}\r\n`;
+
+module.exports = { parseCsv, parseCsvRecords, toCsvLine };
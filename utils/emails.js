@@ -0,0 +1,77 @@
+// Transactional email content. Each builder returns { subject, text, html }
+// for sendMail.
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const layout = (paragraphs, action) => [
+  '<div style="font-family:Arial,sans-serif;font-size:15px;color:#222;max-width:560px">',
+  ...paragraphs.map(p => `<p>${escapeHtml(p)}</p>`),
+  action
+    ? `<p><a href="${escapeHtml(action.url)}" style="background:#222;color:#fff;padding:10px 18px;text-decoration:none;border-radius:4px">${escapeHtml(action.label)}</a></p>`
+    : '',
+  '<p style="color:#777;font-size:13px">Nighty Sale</p>',
+  '</div>'
+].join('\n');
+
+// @desc    Link to choose a new password
+const passwordResetEmail = ({ name, resetUrl, expiresInMinutes }) => ({
+  subject: 'Reset your Nighty Sale password',
+  text: [
+    `Hi ${name},`,
+    '',
+    'We received a request to reset your password. Open this link to choose a new one:',
+    resetUrl,
+    '',
+    `The link works once and expires in ${expiresInMinutes} minutes.`,
+    'If you did not ask for this, you can ignore this email; your password stays the same.'
+  ].join('\n'),
+  html: layout([
+    `Hi ${name},`,
+    'We received a request to reset your password. Use the button below to choose a new one.',
+    `The link works once and expires in ${expiresInMinutes} minutes. If you did not ask for this, you can ignore this email; your password stays the same.`
+  ], { url: resetUrl, label: 'Reset password' })
+});
+
+// @desc    Link to confirm the address a new account signed up with
+const emailVerificationEmail = ({ name, verifyUrl, expiresInHours }) => ({
+  subject: 'Confirm your email for Nighty Sale',
+  text: [
+    `Hi ${name},`,
+    '',
+    'Please confirm your email address by opening this link:',
+    verifyUrl,
+    '',
+    `The link expires in ${expiresInHours} hours.`
+  ].join('\n'),
+  html: layout([
+    `Hi ${name},`,
+    'Please confirm your email address so we can send you order updates.',
+    `The link expires in ${expiresInHours} hours.`
+  ], { url: verifyUrl, label: 'Confirm email' })
+});
+
+// @desc    Sent to the old address when an account's email is changed
+const emailChangedEmail = ({ name, newEmail }) => ({
+  subject: 'Your Nighty Sale email was changed',
+  text: [
+    `Hi ${name},`,
+    '',
+    `The email on your Nighty Sale account was changed to ${newEmail}.`,
+    'If you did not do this, please contact us straight away.'
+  ].join('\n'),
+  html: layout([
+    `Hi ${name},`,
+    `The email on your Nighty Sale account was changed to ${newEmail}.`,
+    'If you did not do this, please contact us straight away.'
+  ])
+});
+
+module.exports = {
+  passwordResetEmail,
+  emailChangedEmail,
+  emailVerificationEmail,
+};
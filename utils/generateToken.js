@@ -1,9 +1,14 @@
 const jwt = require('jsonwebtoken');
 
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d', // Token valid for 30 days
+// Access tokens are short-lived; clients renew them with a refresh token
+// (POST /api/users/refresh). Override through .env, e.g. ACCESS_TOKEN_TTL=30m
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// `tokenVersion` is the user's current User.tokenVersion
+const generateToken = (id, tokenVersion = 0) => {
+  return jwt.sign({ id, v: tokenVersion }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
   });
 };
 
-module.exports = generateToken;
\ No newline at end of file
+module.exports = generateToken;
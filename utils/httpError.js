@@ -0,0 +1,12 @@
+// Build an Error that carries the HTTP status the controller should respond with.
+// Controllers catch it and use `error.statusCode || 500`.
+const httpError = (statusCode, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+};
+
+module.exports = httpError;
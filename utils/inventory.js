@@ -0,0 +1,76 @@
+const Product = require('../models/Product');
+const httpError = require('./httpError');
+
+// When stock is taken out of the catalog: 'order' (on POST /api/orders)
+// or 'payment' (once the order is marked paid). Set STOCK_RESERVE_ON in .env.
+const STOCK_RESERVE_ON = process.env.STOCK_RESERVE_ON === 'payment' ? 'payment' : 'order';
+
+// Lines with a SKU move the variant's stock and the product total together;
+// older lines without one only touch the flat product count.
+const stockFilter = (item, stockCondition) => {
+  if (item.sku) {
+    const variantMatch = { sku: item.sku };
+    if (stockCondition) {
+      variantMatch.countInStock = stockCondition;
+    }
+    return { _id: item.product, variants: { $elemMatch: variantMatch } };
+  }
+
+  const filter = { _id: item.product };
+  if (stockCondition) {
+    filter.countInStock = stockCondition;
+  }
+  return filter;
+};
+
+const stockUpdate = (item, delta) => {
+  if (item.sku) {
+    return { $inc: { 'variants.$.countInStock': delta, countInStock: delta } };
+  }
+  return { $inc: { countInStock: delta } };
+};
+
+// @desc    Atomically take every line of the order out of stock
+//          The conditional update only matches while enough units are left,
+//          so two concurrent buyers can never both get the last unit.
+//          A short line puts back the lines taken before it, so callers
+//          may catch the 409 and carry on with the transaction.
+const reserveOrderStock = async (order, session) => {
+  const taken = [];
+
+  for (const item of order.orderItems) {
+    const result = await Product.updateOne(
+      stockFilter(item, { $gte: item.qty }),
+      stockUpdate(item, -item.qty),
+      { session }
+    );
+
+    if (result.modifiedCount === 0) {
+      await restockItems(taken, session);
+      throw httpError(409, `Not enough stock for ${item.name} (${item.size})`);
+    }
+    taken.push(item);
+  }
+
+  order.stockReserved = true;
+};
+
+// @desc    Put units back into stock; each line needs product, qty and
+//          (for variant products) sku, like an order item
+const restockItems = async (items, session) => {
+  for (const item of items) {
+    await Product.updateOne(
+      stockFilter(item),
+      stockUpdate(item, item.qty),
+      { session }
+    );
+  }
+};
+
+// @desc    Put the order's units back into stock (e.g. on cancellation)
+const releaseOrderStock = async (order, session) => {
+  await restockItems(order.orderItems, session);
+  order.stockReserved = false;
+};
+
+module.exports = { STOCK_RESERVE_ON, reserveOrderStock, releaseOrderStock, restockItems };
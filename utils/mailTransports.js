@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// A mail transport is an object with `name` and `send(message)`, where
+// message is { from, to, subject, text, html }. `to` may be a list.
+
+const recipientsOf = (message) => (Array.isArray(message.to) ? message.to : [message.to]);
+
+// @desc    Prints messages to the server log (local development)
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log([
+      '----- Outgoing email -----',
+      `From: ${message.from}`,
+      `To: ${recipientsOf(message).join(', ')}`,
+      `Subject: ${message.subject}`,
+      '',
+      message.text,
+      '--------------------------'
+    ].join('\n'));
+    return { transport: 'console' };
+  }
+});
+
+// @desc    Writes each message as an .eml file into `dir` (development and tests)
+const createFileTransport = ({ dir }) => {
+  // Builds the MIME message without sending it anywhere
+  const builder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'windows' });
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      const { message: raw } = await builder.sendMail(message);
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+      await fs.writeFile(file, raw);
+      return { transport: 'file', file };
+    }
+  };
+};
+
+// @desc    Delivers through an SMTP server (production)
+//          Credentials only ever go over TLS: either `secure` (TLS from the
+//          start, port 465) or a STARTTLS upgrade the server must accept.
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  if (!host) {
+    throw new Error('SMTP_HOST is required for the smtp mail transport');
+  }
+
+  const smtp = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    requireTLS: !secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await smtp.sendMail(message);
+      return { transport: 'smtp', to: info.accepted, messageId: info.messageId };
+    }
+  };
+};
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  createSmtpTransport,
+};
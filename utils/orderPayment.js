@@ -0,0 +1,48 @@
+const { STOCK_RESERVE_ON, reserveOrderStock } = require('./inventory');
+
+// @desc    Flag an order as paid, reserving its stock first when the store
+//          reserves on payment. Call inside a transaction and save afterwards.
+//          The money has been taken by now, so running out of stock does not
+//          stop the payment being recorded: the order gets a stockShortage
+//          for staff to restock or refund. A cancelled order reserves
+//          nothing and gets a refundDue instead.
+const markOrderPaid = async (order, paymentResult, session) => {
+  if (order.orderStatus === 'Cancelled') {
+    console.error(`Order ${order._id} paid after it was cancelled`);
+    order.refundDue = { reason: 'Paid after the order was cancelled', flaggedAt: new Date() };
+  } else if (STOCK_RESERVE_ON === 'payment' && !order.stockReserved) {
+    try {
+      await reserveOrderStock(order, session);
+    } catch (error) {
+      if (error.statusCode !== 409) {
+        throw error;
+      }
+      console.error(`Order ${order._id} paid without stock: ${error.message}`);
+      order.stockShortage = { message: error.message, flaggedAt: new Date() };
+    }
+  }
+
+  order.isPaid = true;
+  order.paidAt = new Date();
+  order.paymentResult = paymentResult;
+};
+
+// @desc    Append to the order's payment-attempt history
+//          A payment reported twice (browser callback and webhook) is kept once.
+const recordPaymentAttempt = (order, attempt) => {
+  const alreadyRecorded = attempt.razorpayPaymentId && order.paymentAttempts.some(
+    a => a.razorpayPaymentId === attempt.razorpayPaymentId && a.status === attempt.status
+  );
+
+  if (!alreadyRecorded) {
+    order.paymentAttempts.push(attempt);
+  }
+};
+
+// Razorpay works in paise
+const toPaise = (rupees) => Math.round(rupees * 100);
+
+// Was this order paid after it had been cancelled?
+const isRefundDue = (order) => Boolean(order.refundDue && order.refundDue.flaggedAt);
+
+module.exports = { markOrderPaid, recordPaymentAttempt, toPaise, isRefundDue };
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const httpError = require('./httpError');
+const { findVariant } = require('./variants');
+
+// Pricing rules (override through .env)
+const TAX_RATE = Number(process.env.TAX_RATE ?? 0.05); // 5% GST
+const SHIPPING_FEE = Number(process.env.SHIPPING_FEE ?? 49);
+const FREE_SHIPPING_THRESHOLD = Number(process.env.FREE_SHIPPING_THRESHOLD ?? 999);
+
+// Client totals may differ from ours by at most this much (rounding noise)
+const PRICE_TOLERANCE = 0.01;
+
+// Round to 2 decimal places (paise precision)
+const roundPrice = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// @desc    Rebuild order lines from the catalog
+//          Only product, qty, size (and colour) are taken from the client;
+//          name, price, image and SKU always come from the Product document.
+//          `publicOnly: false` also accepts products no longer on sale (for
+//          replacements of something the customer already bought).
+const buildOrderItems = async (orderItems, { session = null, publicOnly = true } = {}) => {
+  if (!Array.isArray(orderItems) || orderItems.length === 0) {
+    throw httpError(400, 'No order items');
+  }
+
+  const productIds = orderItems.map((item) => item.product);
+  const invalidId = productIds.find((id) => !mongoose.isValidObjectId(id));
+  if (invalidId !== undefined) {
+    throw httpError(400, `Invalid product id: ${invalidId}`);
+  }
+
+  const products = await Product.find({ _id: { $in: productIds } }).session(session);
+  const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+
+  return orderItems.map((item) => {
+    const product = productMap.get(String(item.product));
+    if (!product) {
+      throw httpError(404, `Product not found: ${item.product}`);
+    }
+
+    if (publicOnly && !product.isPublic()) {
+      throw httpError(400, `${product.name} is no longer available`);
+    }
+
+    const qty = Number(item.qty);
+    if (!Number.isInteger(qty) || qty <= 0) {
+      throw httpError(400, `Invalid quantity for ${product.name}`);
+    }
+
+    const variant = findVariant(product, item.size, item.color);
+    const hasVariants = product.variants && product.variants.length > 0;
+
+    if (hasVariants ? !variant : !product.sizes.includes(item.size)) {
+      throw httpError(400, `Size "${item.size}" is not available for ${product.name}`);
+    }
+
+    const orderItem = {
+      product: product._id,
+      name: product.name,
+      // The picture of the colour that was bought
+      image: product.imageFor(item.color).thumbnail,
+      price: variant && variant.price ? variant.price : product.price,
+      size: item.size,
+      qty,
+    };
+
+    if (variant) {
+      orderItem.sku = variant.sku;
+      if (variant.color) {
+        orderItem.color = variant.color;
+      }
+    }
+
+    return orderItem;
+  });
+};
+
+// @desc    Work out order totals from rebuilt order lines
+//          A coupon discount comes off the items before tax is added.
+const calcPrices = (orderItems, { discount = 0, freeShipping = false } = {}) => {
+  const itemsPrice = roundPrice(
+    orderItems.reduce((acc, item) => acc + item.price * item.qty, 0)
+  );
+  const discountPrice = roundPrice(Math.min(discount, itemsPrice));
+  const shippingPrice = freeShipping || itemsPrice >= FREE_SHIPPING_THRESHOLD ? 0 : SHIPPING_FEE;
+  const taxPrice = roundPrice((itemsPrice - discountPrice) * TAX_RATE);
+  const totalPrice = roundPrice(itemsPrice - discountPrice + shippingPrice + taxPrice);
+
+  return { itemsPrice, discountPrice, taxPrice, shippingPrice, totalPrice };
+};
+
+// A client total as a number: numbers and numeric strings only, so values
+// like "abc", "" or true cannot pass as matching (NaN compares false)
+const clientNumber = (value) => {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return typeof number === 'number' && Number.isFinite(number) ? number : null;
+};
+
+// @desc    Reject the order if any total the client sent differs from ours
+//          Totals the client leaves out are not checked.
+const assertClientTotals = (clientTotals, serverTotals) => {
+  const mismatched = Object.keys(serverTotals).filter((key) => {
+    const clientValue = clientTotals[key];
+    if (clientValue === undefined || clientValue === null) {
+      return false;
+    }
+    const value = clientNumber(clientValue);
+    return value === null || Math.abs(value - serverTotals[key]) > PRICE_TOLERANCE;
+  });
+
+  if (mismatched.length > 0) {
+    throw httpError(
+      400,
+      `Order totals do not match current prices: ${mismatched.join(', ')}`,
+      { expected: serverTotals }
+    );
+  }
+};
+
+module.exports = { buildOrderItems, calcPrices, assertClientTotals, roundPrice };
@@ -0,0 +1,125 @@
+const httpError = require('./httpError');
+const { roundPrice } = require('./orderPricing');
+
+// Units of each order line already covered by refunds that have not failed
+const refundedQtyByItem = (order) => {
+  const refunded = new Map();
+  order.refunds
+    .filter(refund => refund.status !== 'failed')
+    .forEach(refund => {
+      refund.items.forEach(item => {
+        const key = item.orderItem.toString();
+        refunded.set(key, (refunded.get(key) || 0) + item.qty);
+      });
+    });
+  return refunded;
+};
+
+// @desc    Units of each order line taken back through closed return requests
+//          (exchanges are not refunded; their replacement was shipped instead)
+const returnedQtyByItem = (closedReturns) => {
+  const returned = new Map();
+  closedReturns
+    .filter(request => request.type === 'return' && request.status === 'Closed')
+    .forEach(request => {
+      request.items.forEach(item => {
+        const key = item.orderItem.toString();
+        returned.set(key, (returned.get(key) || 0) + item.qty);
+      });
+    });
+  return returned;
+};
+
+// @desc    Validate a refund request against what is still refundable
+//          Cancelled orders can be refunded in full. Any other order only
+//          for units that came back through a closed return (`returnedQty`,
+//          from returnedQtyByItem): the listed ones, or all of them, up to
+//          their share of what was paid.
+//          Without an amount, refunds the listed items, or everything left.
+const resolveRefund = (order, { amount, items, returnedQty = new Map() }) => {
+  if (!order.isPaid || !order.paymentResult || !order.paymentResult.id) {
+    throw httpError(400, 'Only paid orders can be refunded');
+  }
+  if (order.paymentResult.status === 'manual') {
+    throw httpError(400, 'This order was marked paid by hand; there is no Razorpay payment to refund');
+  }
+
+  const refundable = roundPrice(order.totalPrice - order.amountRefunded);
+  if (refundable <= 0) {
+    throw httpError(400, 'This order has already been fully refunded');
+  }
+
+  const isCancelled = order.orderStatus === 'Cancelled';
+  const refundedQty = refundedQtyByItem(order);
+
+  // Not cancelled: default to every returned unit not refunded yet
+  if (!isCancelled && items === undefined) {
+    items = order.orderItems
+      .map(orderItem => ({
+        orderItem: orderItem._id,
+        qty: Math.min(returnedQty.get(orderItem._id.toString()) || 0, orderItem.qty) -
+          (refundedQty.get(orderItem._id.toString()) || 0),
+      }))
+      .filter(item => item.qty > 0);
+
+    if (items.length === 0) {
+      throw httpError(400, returnedQty.size > 0
+        ? 'Every returned item has already been refunded'
+        : 'Only cancelled orders or items from a closed return can be refunded');
+    }
+  }
+
+  let refundItems = [];
+  let itemsTotal = 0;
+
+  if (items !== undefined) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw httpError(400, 'Items must be a non-empty array');
+    }
+
+    refundItems = items.map(item => {
+      const orderItem = order.orderItems.id(item.orderItem);
+      if (!orderItem) {
+        throw httpError(400, `Order item not found: ${item.orderItem}`);
+      }
+
+      const qty = Number(item.qty);
+      const key = orderItem._id.toString();
+      const coveredQty = isCancelled ? orderItem.qty : Math.min(returnedQty.get(key) || 0, orderItem.qty);
+      const remainingQty = coveredQty - (refundedQty.get(key) || 0);
+      if (!Number.isInteger(qty) || qty <= 0 || qty > remainingQty) {
+        throw httpError(400, `Invalid refund quantity for ${orderItem.name} (${remainingQty} refundable)`);
+      }
+
+      itemsTotal += orderItem.price * qty;
+      return { orderItem: orderItem._id, qty };
+    });
+  }
+
+  let refundAmount;
+  if (amount !== undefined && amount !== null) {
+    refundAmount = roundPrice(Number(amount));
+    if (!(refundAmount > 0)) {
+      throw httpError(400, 'Refund amount must be greater than 0');
+    }
+  } else {
+    refundAmount = refundItems.length > 0 ? roundPrice(itemsTotal) : refundable;
+  }
+
+  if (refundAmount > refundable) {
+    throw httpError(400, `Refund exceeds the amount paid (₹${refundable} refundable)`);
+  }
+
+  // Returned items: at most their share of the total (tax, shipping and
+  // discount spread by item value)
+  if (!isCancelled && order.itemsPrice > 0) {
+    const share = roundPrice(order.totalPrice * itemsTotal / order.itemsPrice);
+    if (refundAmount > share) {
+      throw httpError(400, `Refund exceeds the value of the returned items (₹${share})`);
+    }
+  }
+
+  return { amount: refundAmount, items: refundItems };
+};
+
+module.exports = { resolveRefund, returnedQtyByItem };
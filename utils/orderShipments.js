@@ -0,0 +1,93 @@
+const httpError = require('./httpError');
+const { canTransition, applyStatusChange } = require('./orderStatus');
+
+const SHIPMENT_EVENT_STATUSES = ['In Transit', 'Out for Delivery', 'Delivered', 'Exception'];
+
+// Units of each order line already put in a shipment
+const shippedQtyByItem = (order) => {
+  const shipped = new Map();
+  order.shipments.forEach(shipment => {
+    shipment.items.forEach(item => {
+      const key = item.orderItem.toString();
+      shipped.set(key, (shipped.get(key) || 0) + item.qty);
+    });
+  });
+  return shipped;
+};
+
+// @desc    Validate the lines of a new shipment
+//          Without items, ships everything not yet shipped.
+const resolveShipmentItems = (order, items) => {
+  const shippedQty = shippedQtyByItem(order);
+  const remainingQty = (orderItem) =>
+    orderItem.qty - (shippedQty.get(orderItem._id.toString()) || 0);
+
+  if (items === undefined) {
+    const remaining = order.orderItems
+      .filter(orderItem => remainingQty(orderItem) > 0)
+      .map(orderItem => ({ orderItem: orderItem._id, qty: remainingQty(orderItem) }));
+
+    if (remaining.length === 0) {
+      throw httpError(400, 'All items of this order have already been shipped');
+    }
+    return remaining;
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw httpError(400, 'Items must be a non-empty array');
+  }
+
+  return items.map(item => {
+    const orderItem = order.orderItems.id(item.orderItem);
+    if (!orderItem) {
+      throw httpError(400, `Order item not found: ${item.orderItem}`);
+    }
+
+    const qty = Number(item.qty);
+    if (!Number.isInteger(qty) || qty <= 0 || qty > remainingQty(orderItem)) {
+      throw httpError(400, `Invalid shipped quantity for ${orderItem.name} (${remainingQty(orderItem)} left to ship)`);
+    }
+    return { orderItem: orderItem._id, qty };
+  });
+};
+
+// Every unit is in a shipment and every shipment has been delivered
+const isFullyDelivered = (order) => {
+  const shippedQty = shippedQtyByItem(order);
+  const allShipped = order.orderItems.every(
+    orderItem => (shippedQty.get(orderItem._id.toString()) || 0) >= orderItem.qty
+  );
+  return allShipped && order.shipments.every(shipment => shipment.status === 'Delivered');
+};
+
+// @desc    Record a tracking event and move the shipment and order along
+const applyTrackingEvent = (order, shipment, event) => {
+  if (!SHIPMENT_EVENT_STATUSES.includes(event.status)) {
+    throw httpError(400, `Tracking status must be one of: ${SHIPMENT_EVENT_STATUSES.join(', ')}`);
+  }
+
+  if (shipment.status === 'Delivered') {
+    throw httpError(400, 'This shipment has already been delivered');
+  }
+
+  shipment.events.push(event);
+  shipment.status = event.status;
+
+  if (event.status === 'Delivered') {
+    shipment.deliveredAt = event.occurredAt;
+
+    if (isFullyDelivered(order) && canTransition(order.orderStatus, 'Delivered')) {
+      applyStatusChange(order, 'Delivered', {
+        note: `Delivered by ${shipment.carrier} (${shipment.trackingNumber})`,
+      });
+    }
+  }
+
+  if (event.status === 'Out for Delivery' && canTransition(order.orderStatus, 'Out for Delivery')) {
+    applyStatusChange(order, 'Out for Delivery', {
+      note: `${shipment.carrier} (${shipment.trackingNumber})`,
+    });
+  }
+};
+
+module.exports = { SHIPMENT_EVENT_STATUSES, resolveShipmentItems, applyTrackingEvent };
@@ -0,0 +1,46 @@
+const httpError = require('./httpError');
+
+// Allowed moves between Order.orderStatus values.
+// Delivered and Cancelled are final; returns go through a return request.
+const ORDER_STATUS_TRANSITIONS = {
+  Processing: ['Shipped', 'Cancelled'],
+  Shipped: ['Out for Delivery', 'Delivered'],
+  'Out for Delivery': ['Delivered'],
+  Delivered: [],
+  Cancelled: [],
+};
+
+const canTransition = (from, to) =>
+  (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+
+// @desc    Move an order to a new status and append it to the timeline
+//          `actor` is the user making the change, or null for the system.
+const applyStatusChange = (order, status, { actor = null, note } = {}) => {
+  if (!Object.prototype.hasOwnProperty.call(ORDER_STATUS_TRANSITIONS, status)) {
+    throw httpError(400, `Unknown order status: ${status}`);
+  }
+
+  if (!canTransition(order.orderStatus, status)) {
+    throw httpError(
+      400,
+      `Cannot change order status from ${order.orderStatus} to ${status}`
+    );
+  }
+
+  order.orderStatus = status;
+
+  if (status === 'Delivered') {
+    order.isDelivered = true;
+    order.deliveredAt = new Date();
+  }
+
+  order.statusHistory.push({
+    status,
+    changedAt: new Date(),
+    changedBy: actor ? actor._id : undefined,
+    actorRole: actor ? actor.role : 'system',
+    note,
+  });
+};
+
+module.exports = { ORDER_STATUS_TRANSITIONS, canTransition, applyStatusChange };
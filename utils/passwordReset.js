@@ -0,0 +1,60 @@
+const User = require('../models/User');
+const httpError = require('./httpError');
+const { randomToken, hashToken } = require('./secureToken');
+const { revokeAllUserTokens } = require('./refreshTokens');
+const { CLIENT_URL } = require('../config/client');
+
+// Reset links stop working after this long (override through .env)
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES ?? 30);
+
+// @desc    Start a reset for a user: stores the token's hash and returns the
+//          storefront link to email. A new request replaces any earlier link.
+const createPasswordReset = async (user) => {
+  const token = randomToken();
+
+  await User.updateOne({ _id: user._id }, {
+    $set: {
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+    }
+  });
+
+  return {
+    resetUrl: `${CLIENT_URL}/reset-password?token=${encodeURIComponent(token)}`,
+    expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+  };
+};
+
+// @desc    Set a new password with a reset token
+//          The token is claimed atomically so it works once, even when two
+//          requests race. Every existing session is logged out afterwards.
+const resetPassword = async (token, password) => {
+  if (!token) {
+    throw httpError(400, 'Reset token is required');
+  }
+  if (!password || String(password).length < 6) {
+    throw httpError(400, 'Password must be at least 6 characters');
+  }
+
+  const user = await User.findOneAndUpdate(
+    { passwordResetToken: hashToken(token), passwordResetExpires: { $gt: new Date() } },
+    { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+    { new: true }
+  ).select('+password');
+
+  if (!user) {
+    throw httpError(400, 'This reset link is invalid or has expired');
+  }
+
+  user.password = String(password);
+  await user.save();
+  await revokeAllUserTokens(user._id, 'revoked');
+
+  return user;
+};
+
+module.exports = {
+  PASSWORD_RESET_TTL_MINUTES,
+  createPasswordReset,
+  resetPassword,
+};
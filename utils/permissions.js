@@ -0,0 +1,12 @@
+const { ROLE_PERMISSIONS } = require('../config/roles');
+
+// @desc    Permissions granted by a user's role (none for unknown roles)
+const permissionsFor = (user) => (user && ROLE_PERMISSIONS[user.role]) || [];
+
+// @desc    Can this user do every one of `permissions`?
+const hasPermission = (user, ...permissions) => {
+  const granted = permissionsFor(user);
+  return permissions.every(permission => granted.includes(permission));
+};
+
+module.exports = { permissionsFor, hasPermission };
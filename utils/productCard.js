@@ -0,0 +1,9 @@
+// Fields a product card needs in the wishlist. Keeps reviews, descriptions
+// and galleries out of wishlist responses. `countInStock` and `variants` are
+// needed by the inStock / availableSizes / swatches virtuals; of the colour
+// galleries only the thumbnails are loaded (the swatch shows the first).
+const PRODUCT_CARD_FIELDS =
+  'name slug image brand category price countInStock rating numReviews sizes variants ' +
+  'colors.name colors.hex colors.swatchImage colors.images.thumbnail createdAt';
+
+module.exports = { PRODUCT_CARD_FIELDS };
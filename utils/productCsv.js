@@ -0,0 +1,334 @@
+const Product = require('../models/Product');
+const { slugify, uniqueSlug } = require('./slug');
+const { normalizeVariants } = require('./variants');
+const { resolveCategory } = require('./categories');
+const { generateOptimizedImage } = require('./cloudinaryImage');
+const { validateNewProduct, applyPublishing } = require('./productInput');
+
+// The catalog CSV has one row per variant (SKU). Product columns repeat on
+// every row of a product; on import a blank cell leaves the value unchanged.
+// Images are Cloudinary public ids (upload them first through /api/upload),
+// additional images separated by "|". A filled-in stock cell replaces the
+// variant's current count outright (orders taken since the export are not
+// subtracted), so the dry run lists every count it would change; leave the
+// cell blank to keep the current stock.
+const PRODUCT_COLUMNS = [
+  'slug', 'name', 'description', 'brand', 'category', 'price', 'status',
+  'publish_at', 'unpublish_at', 'image', 'additional_images'
+];
+const VARIANT_COLUMNS = ['sku', 'size', 'color', 'stock', 'variant_price'];
+const PRODUCT_CSV_COLUMNS = [...PRODUCT_COLUMNS, ...VARIANT_COLUMNS];
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+// @desc    CSV rows (arrays in PRODUCT_CSV_COLUMNS order) for one product
+//          Expects `categoryId` populated with the category slug.
+const productToCsvRows = (product) => {
+  const productCells = [
+    product.slug,
+    product.name,
+    product.description,
+    product.brand,
+    product.categoryId && product.categoryId.slug ? product.categoryId.slug : product.category,
+    product.price,
+    product.status,
+    product.publishAt,
+    product.unpublishAt,
+    product.image ? product.image.public_id : '',
+    (product.additionalImages || []).map(image => image.public_id).join('|')
+  ];
+
+  // Products from before variants only have sizes
+  const variants = product.variants && product.variants.length > 0
+    ? product.variants
+    : (product.sizes || []).map(size => ({ size }));
+
+  if (variants.length === 0) {
+    return [[...productCells, '', '', '', '', '']];
+  }
+
+  return variants.map(variant => [
+    ...productCells,
+    variant.sku,
+    variant.size,
+    variant.color,
+    variant.countInStock,
+    variant.price
+  ]);
+};
+
+// ---------------------------------------------------------------------------
+// Import
+// ---------------------------------------------------------------------------
+
+const parsePrice = (value, label) => {
+  const price = Number(value);
+  if (!(price > 0)) {
+    throw new Error(`${label} must be greater than 0`);
+  }
+  return price;
+};
+
+const parseStock = (value) => {
+  const stock = Number(value);
+  if (!Number.isInteger(stock) || stock < 0) {
+    throw new Error('Stock must be a whole number of 0 or more');
+  }
+  return stock;
+};
+
+const imageFromPublicId = (publicId) => generateOptimizedImage(publicId.trim());
+
+const splitImages = (value) => value.split('|').map(id => id.trim()).filter(Boolean);
+
+// The value of a product column across a product's rows. Rows may leave it
+// blank, but two rows may not disagree.
+const productValue = (records, column) => {
+  const values = [...new Set(records.map(record => record[column]).filter(Boolean))];
+  if (values.length > 1) {
+    throw new Error(`Rows disagree on ${column} ("${values.join('" / "')}")`);
+  }
+  return values[0];
+};
+
+// Merge a product's variant rows into its current variants (matched by SKU,
+// or by size and colour when the row has no SKU)
+const mergeVariantRows = (currentVariants, records) => {
+  const variants = currentVariants.map(v => (typeof v.toObject === 'function' ? v.toObject() : { ...v }));
+
+  records
+    .filter(record => record.sku || record.size)
+    .forEach(record => {
+      const sku = record.sku ? record.sku.toUpperCase() : undefined;
+      let variant = sku
+        ? variants.find(v => v.sku === sku)
+        : variants.find(v =>
+            v.size === record.size && (v.color || '').toLowerCase() === (record.color || '').toLowerCase()
+          );
+
+      if (!variant) {
+        if (!record.size) {
+          throw new Error(`Row ${record._row}: new SKU ${record.sku} needs a size`);
+        }
+        variant = { sku, countInStock: 0 };
+        variants.push(variant);
+      }
+
+      if (record.size) {
+        variant.size = record.size;
+      }
+      if (record.color) {
+        variant.color = record.color;
+      }
+      if (record.stock) {
+        variant.countInStock = parseStock(record.stock);
+      }
+      if (record.variant_price) {
+        variant.price = parsePrice(record.variant_price, `Row ${record._row}: variant price`);
+      }
+    });
+
+  return variants;
+};
+
+// Apply the product columns that are filled in to a new or existing product
+const applyProductColumns = async (product, values) => {
+  ['name', 'description', 'brand'].forEach(field => {
+    if (values[field]) {
+      product[field] = values[field];
+    }
+  });
+
+  if (values.price) {
+    product.price = parsePrice(values.price, 'Price');
+  }
+
+  if (values.category) {
+    const category = await resolveCategory(values.category);
+    product.category = category.name;
+    product.categoryId = category._id;
+  }
+
+  if (values.image) {
+    product.image = imageFromPublicId(values.image);
+  }
+  if (values.additional_images) {
+    product.additionalImages = splitImages(values.additional_images).map(imageFromPublicId);
+  }
+
+  const invalidPublishing = applyPublishing(product, {
+    status: values.status || undefined,
+    publishAt: values.publish_at || undefined,
+    unpublishAt: values.unpublish_at || undefined
+  });
+  if (invalidPublishing) {
+    throw new Error(invalidPublishing);
+  }
+};
+
+// Stock counts in the file that differ from the stored ones
+const stockOverrides = (storedVariants, variants) => {
+  const stored = new Map(storedVariants.map(v => [v.sku, v.countInStock]));
+  return variants
+    .filter(v => stored.has(v.sku.toUpperCase()) && stored.get(v.sku.toUpperCase()) !== v.countInStock)
+    .map(v => `SKU ${v.sku.toUpperCase()}: stock ${stored.get(v.sku.toUpperCase())} will be set to ${v.countInStock}`);
+};
+
+// @desc    Turn CSV records into validated (unsaved) products
+//          Every row is checked with the same rules as createProduct plus the
+//          schema validators. Nothing is written here; the caller saves the
+//          returned products when there are no errors. Updated products only
+//          save if their stock is still what it was when read here.
+//          Returns [{ rows, action: 'create'|'update'|'invalid', product, errors, warnings }].
+const buildProductsFromCsv = async (records, { userId }) => {
+  const results = [];
+
+  // Products the file refers to, by slug or by one of their SKUs
+  const slugs = [...new Set(records.map(r => slugify(r.slug)).filter(Boolean))];
+  const skus = [...new Set(records.map(r => (r.sku || '').toUpperCase()).filter(Boolean))];
+  const existing = await Product.find({
+    $or: [{ slug: { $in: slugs } }, { 'variants.sku': { $in: skus } }]
+  });
+
+  const bySlug = new Map(existing.map(p => [p.slug, p]));
+  const bySku = new Map();
+  existing.forEach(p => p.variants.forEach(v => bySku.set(v.sku, p)));
+
+  // Group rows per product: an existing product, else the slug, else the name
+  const groups = new Map();
+  for (const record of records) {
+    const slug = slugify(record.slug);
+    const sku = (record.sku || '').toUpperCase();
+    const productBySlug = slug ? bySlug.get(slug) : null;
+    const productBySku = sku ? bySku.get(sku) : null;
+
+    if (productBySlug && productBySku && !productBySlug._id.equals(productBySku._id)) {
+      results.push({
+        rows: [record._row],
+        action: 'invalid',
+        errors: [`SKU ${sku} belongs to "${productBySku.slug}", not "${slug}"`]
+      });
+      continue;
+    }
+
+    const product = productBySlug || productBySku;
+    const key = product
+      ? `id:${product._id}`
+      : slug ? `slug:${slug}` : `name:${slugify(record.name)}`;
+
+    if (key === 'name:') {
+      results.push({
+        rows: [record._row],
+        action: 'invalid',
+        errors: ['Each row needs a slug, an existing SKU or a product name']
+      });
+      continue;
+    }
+
+    if (!groups.has(key)) {
+      groups.set(key, { product, records: [] });
+    }
+    groups.get(key).records.push(record);
+  }
+
+  const slugsInFile = new Set();
+
+  for (const { product: found, records: groupRecords } of groups.values()) {
+    const rows = groupRecords.map(r => r._row);
+    const errors = [];
+    let warnings = [];
+    let product = found;
+
+    try {
+      const values = {};
+      PRODUCT_COLUMNS.forEach(column => {
+        values[column] = productValue(groupRecords, column);
+      });
+
+      if (!product) {
+        const variantRecords = groupRecords.filter(r => r.sku || r.size);
+        const invalid = validateNewProduct({
+          name: values.name,
+          price: values.price,
+          description: values.description,
+          brand: values.brand,
+          category: values.category,
+          image: values.image ? imageFromPublicId(values.image) : null,
+          additionalImages: values.additional_images
+            ? splitImages(values.additional_images).map(imageFromPublicId)
+            : [],
+          variants: variantRecords.length > 0 ? variantRecords : undefined
+        });
+        if (invalid) {
+          throw new Error(invalid);
+        }
+
+        product = new Product({ user: userId, numReviews: 0, rating: 0 });
+      }
+
+      await applyProductColumns(product, values);
+
+      const storedVariants = product.variants.map(v => ({ sku: v.sku, countInStock: v.countInStock }));
+      if (!product.isNew) {
+        product.$where = { countInStock: product.countInStock };
+      }
+      product.variants = normalizeVariants(product._id, mergeVariantRows(product.variants, groupRecords));
+      warnings = stockOverrides(storedVariants, product.variants);
+
+      // New products get their slug now so two new products in one file
+      // cannot both claim it
+      if (product.isNew) {
+        let slug = values.slug
+          ? slugify(values.slug)
+          : await uniqueSlug(Product, product.name, { historyField: 'previousSlugs' });
+        for (let n = 2; slugsInFile.has(slug); n++) {
+          slug = `${slugify(values.slug || product.name)}-${n}`;
+        }
+        product.slug = slug;
+      }
+      slugsInFile.add(product.slug);
+
+      await product.validate();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        errors.push(...Object.values(error.errors).map(err => err.message));
+      } else {
+        errors.push(error.message);
+      }
+    }
+
+    results.push({
+      rows,
+      action: errors.length > 0 ? 'invalid' : product && !product.isNew ? 'update' : 'create',
+      product: errors.length > 0 ? undefined : product,
+      errors,
+      warnings
+    });
+  }
+
+  // A SKU can only belong to one product (in the file or already in the catalog)
+  const skuOwners = new Map([...bySku].map(([sku, product]) => [sku, product._id]));
+  results.filter(r => r.product).forEach(result => {
+    result.product.variants.forEach(variant => {
+      const ownerId = skuOwners.get(variant.sku);
+      if (ownerId && !ownerId.equals(result.product._id)) {
+        result.errors.push(`SKU ${variant.sku} is already used by another product`);
+        result.action = 'invalid';
+      }
+      skuOwners.set(variant.sku, result.product._id);
+    });
+  });
+  results.filter(r => r.action === 'invalid').forEach(r => {
+    r.product = undefined;
+  });
+
+  return results.sort((a, b) => a.rows[0] - b.rows[0]);
+};
+
+module.exports = {
+  PRODUCT_CSV_COLUMNS,
+  productToCsvRows,
+  buildProductsFromCsv,
+};
@@ -0,0 +1,195 @@
+const httpError = require('./httpError');
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 48;
+
+// Lower bounds of the price buckets shown in the filter sidebar;
+// anything from the last bound upwards falls into one open-ended bucket
+const PRICE_BUCKETS = [0, 500, 1000, 2000, 5000];
+
+// Every sort ends on _id so pages never overlap when values tie.
+// Popularity is how many people reviewed the product, then how well.
+// Relevance only applies to keyword searches (it needs a $text match).
+const PRODUCT_SORTS = {
+  relevance: { score: { $meta: 'textScore' }, _id: -1 },
+  newest: { createdAt: -1, _id: -1 },
+  price_asc: { price: 1, _id: 1 },
+  price_desc: { price: -1, _id: -1 },
+  rating: { rating: -1, numReviews: -1, _id: -1 },
+  popularity: { numReviews: -1, rating: -1, _id: -1 },
+};
+
+// `?category=Nighty,Pyjama` or `?category=Nighty&category=Pyjama`
+const parseList = (value) => {
+  if (value === undefined || value === '') {
+    return [];
+  }
+  return [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+const parseNumber = (value, name) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw httpError(400, `${name} must be a positive number`);
+  }
+  return number;
+};
+
+// Sizes that can actually be bought: in-stock variants, or the flat sizes
+// of a legacy product that still has stock
+const availableSizesExpression = {
+  $cond: [
+    { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] },
+    {
+      $setUnion: [{
+        $map: {
+          input: { $filter: { input: '$variants', cond: { $gt: ['$$this.countInStock', 0] } } },
+          in: '$$this.size'
+        }
+      }]
+    },
+    { $cond: [{ $gt: ['$countInStock', 0] }, { $ifNull: ['$sizes', []] }, []] }
+  ]
+};
+
+// @desc    Turn the listing query string into filter clauses
+//          Clauses are keyed by filter so facet counts can leave out their
+//          own filter (picking "Nighty" must not hide the other categories).
+const buildProductFilters = (query) => {
+  const categories = parseList(query.category);
+  const brands = parseList(query.brand);
+  const sizes = parseList(query.size);
+  const minPrice = parseNumber(query.minPrice, 'minPrice');
+  const maxPrice = parseNumber(query.maxPrice, 'maxPrice');
+  const minRating = parseNumber(query.minRating, 'minRating');
+
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    throw httpError(400, 'minPrice cannot be greater than maxPrice');
+  }
+  if (minRating !== undefined && minRating > 5) {
+    throw httpError(400, 'minRating cannot be greater than 5');
+  }
+
+  const clauses = {};
+
+  if (categories.length > 0) {
+    clauses.category = { category: { $in: categories } };
+  }
+  if (brands.length > 0) {
+    clauses.brand = { brand: { $in: brands } };
+  }
+  if (sizes.length > 0) {
+    // Only products that still have stock in one of the requested sizes
+    clauses.size = {
+      $or: [
+        { variants: { $elemMatch: { size: { $in: sizes }, countInStock: { $gt: 0 } } } },
+        { 'variants.0': { $exists: false }, sizes: { $in: sizes }, countInStock: { $gt: 0 } }
+      ]
+    };
+  }
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    clauses.price = {
+      price: {
+        ...(minPrice !== undefined && { $gte: minPrice }),
+        ...(maxPrice !== undefined && { $lte: maxPrice })
+      }
+    };
+  }
+  if (minRating !== undefined) {
+    clauses.rating = { rating: { $gte: minRating } };
+  }
+  if (query.inStock === 'true') {
+    clauses.inStock = { countInStock: { $gt: 0 } };
+  }
+
+  // Every clause except the named one
+  const matchWithout = (skip) => {
+    const parts = Object.entries(clauses)
+      .filter(([key]) => key !== skip)
+      .map(([, clause]) => clause);
+    return parts.length > 0 ? { $and: parts } : {};
+  };
+
+  return { filter: matchWithout(null), matchWithout };
+};
+
+// @desc    Sort and page size for a listing query
+//          Keyword searches default to relevance, plain listings to newest.
+const parseListingOptions = (query, { isSearch = false } = {}) => {
+  let sort = PRODUCT_SORTS[query.sort] ? query.sort : (isSearch ? 'relevance' : 'newest');
+  if (sort === 'relevance' && !isSearch) {
+    sort = 'newest';
+  }
+  const page = Math.max(Math.floor(Number(query.pageNumber)) || 1, 1);
+  const pageSize = Math.min(
+    Math.max(Math.floor(Number(query.pageSize)) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+
+  return { sort, sortSpec: PRODUCT_SORTS[sort], page, pageSize };
+};
+
+// @desc    Aggregation stage computing the sidebar counts in one round trip
+//          Each facet is counted with every other active filter applied.
+//          A keyword $text match has to run in its own $match before this
+//          stage, since $text is not allowed inside $facet.
+const buildFacetStage = (matchWithout) => {
+  const countBy = (field) => [
+    { $group: { _id: field, count: { $sum: 1 } } },
+    { $match: { _id: { $nin: [null, ''] } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $project: { _id: 0, value: '$_id', count: 1 } }
+  ];
+
+  return {
+    $facet: {
+      categories: [{ $match: matchWithout('category') }, ...countBy('$category')],
+      brands: [{ $match: matchWithout('brand') }, ...countBy('$brand')],
+      sizes: [
+        { $match: matchWithout('size') },
+        { $project: { size: availableSizesExpression } },
+        { $unwind: '$size' },
+        ...countBy('$size')
+      ],
+      priceRanges: [
+        { $match: matchWithout('price') },
+        {
+          $bucket: {
+            groupBy: '$price',
+            boundaries: [...PRICE_BUCKETS, Number.MAX_SAFE_INTEGER],
+            default: 'other',
+            output: { count: { $sum: 1 } }
+          }
+        }
+      ]
+    }
+  };
+};
+
+// Give each price bucket its range instead of Mongo's lower-bound id
+const formatPriceRanges = (buckets) =>
+  buckets
+    .filter(bucket => bucket._id !== 'other')
+    .map(bucket => {
+      const index = PRICE_BUCKETS.indexOf(bucket._id);
+      return {
+        min: bucket._id,
+        max: index < PRICE_BUCKETS.length - 1 ? PRICE_BUCKETS[index + 1] : null,
+        count: bucket.count
+      };
+    });
+
+module.exports = {
+  PRODUCT_SORTS,
+  MAX_PAGE_SIZE,
+  buildProductFilters,
+  parseListingOptions,
+  buildFacetStage,
+  formatPriceRanges,
+};
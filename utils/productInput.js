@@ -0,0 +1,133 @@
+const Product = require('../models/Product');
+const httpError = require('./httpError');
+const { slugify } = require('./slug');
+
+const PRODUCT_STATUSES = ['draft', 'published', 'archived'];
+
+// An uploaded image has at least these (see uploadController)
+const isImage = (image) => Boolean(image && image.original && image.thumbnail && image.public_id);
+
+// @desc    Rules every new product must pass (createProduct and CSV import)
+//          Returns an error message, or null when the fields are fine.
+const validateNewProduct = (fields) => {
+  const { price, countInStock, image, additionalImages = [], sizes, variants } = fields;
+
+  // Validate required fields (sizes can come from the variants instead)
+  const requiredFields = ['name', 'price', 'description', 'image', 'brand', 'category'];
+  const missingFields = requiredFields.filter(field => !fields[field]);
+  if (!sizes && !variants) {
+    missingFields.push('sizes');
+  }
+
+  if (missingFields.length > 0) {
+    return `Please provide all required fields: ${missingFields.join(', ')}`;
+  }
+
+  // Validate price is positive
+  if (!(parseFloat(price) > 0)) {
+    return 'Price must be greater than 0';
+  }
+
+  // Validate stock is non-negative
+  if (parseInt(countInStock) < 0) {
+    return 'Stock count cannot be negative';
+  }
+
+  // Validate image structure
+  if (!isImage(image)) {
+    return 'Invalid image structure. Please upload images properly.';
+  }
+
+  // Validate additionalImages structure if provided
+  if (!Array.isArray(additionalImages) || !additionalImages.every(isImage)) {
+    return 'Invalid additional images structure';
+  }
+
+  return null;
+};
+
+// @desc    Validate colour options sent by an admin
+//          Each needs a name; the swatch and gallery use uploaded images.
+const normalizeColors = (colors) => {
+  if (colors === null) {
+    return [];
+  }
+  if (!Array.isArray(colors)) {
+    throw httpError(400, 'Colours must be an array');
+  }
+
+  return colors.map((color, index) => {
+    if (!color || !String(color.name || '').trim()) {
+      throw httpError(400, `Colour ${index + 1} is missing a name`);
+    }
+
+    const images = color.images || [];
+    if (!Array.isArray(images) || !images.every(isImage)) {
+      throw httpError(400, `Invalid image structure for colour ${color.name}`);
+    }
+    if (color.swatchImage && !isImage(color.swatchImage)) {
+      throw httpError(400, `Invalid swatch image for colour ${color.name}`);
+    }
+
+    const normalized = {
+      name: String(color.name).trim(),
+      hex: color.hex || undefined,
+      swatchImage: color.swatchImage || undefined,
+      images
+    };
+
+    // Keep the subdocument id so the gallery keeps its identity on update
+    if (color._id) {
+      normalized._id = color._id;
+    }
+
+    return normalized;
+  });
+};
+
+// @desc    Check an admin-chosen slug; returns it normalised, or throws a 400
+const checkSlugAvailable = async (slug, productId) => {
+  const value = slugify(slug);
+  if (!value) {
+    throw httpError(400, 'Slug must contain letters or numbers');
+  }
+  if (await Product.exists({ slug: value, _id: { $ne: productId } })) {
+    throw httpError(400, 'Another product already uses this slug');
+  }
+  return value;
+};
+
+// @desc    Check status and schedule fields sent by an admin and copy them
+//          onto the product. Returns an error message or null.
+const applyPublishing = (product, { status, publishAt, unpublishAt }) => {
+  if (status !== undefined) {
+    if (!PRODUCT_STATUSES.includes(status)) {
+      return `Status must be one of: ${PRODUCT_STATUSES.join(', ')}`;
+    }
+    product.status = status;
+  }
+
+  for (const [field, value] of [['publishAt', publishAt], ['unpublishAt', unpublishAt]]) {
+    if (value === undefined) {
+      continue;
+    }
+    const date = value === null || value === '' ? null : new Date(value);
+    if (date && isNaN(date.getTime())) {
+      return `${field} must be a valid date`;
+    }
+    product[field] = date;
+  }
+
+  if (product.publishAt && product.unpublishAt && product.publishAt >= product.unpublishAt) {
+    return 'publishAt must be before unpublishAt';
+  }
+  return null;
+};
+
+module.exports = {
+  PRODUCT_STATUSES,
+  validateNewProduct,
+  normalizeColors,
+  checkSlugAvailable,
+  applyPublishing,
+};
@@ -0,0 +1,143 @@
+const Product = require('../models/Product');
+const SEARCH_SYNONYMS = require('../config/searchSynonyms');
+
+// How long the typo-correction vocabulary is reused before being rebuilt
+const VOCABULARY_TTL_MS = 10 * 60 * 1000;
+
+const MAX_QUERY_TERMS = 10;
+
+// Escape user input before it goes into a RegExp
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Lowercase words of a string; punctuation and quotes are dropped so nothing
+// reaches $text as a phrase or a negation
+const tokenize = (text) =>
+  String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+const synonymsOf = (word) => SEARCH_SYNONYMS
+  .filter(group => group.includes(word))
+  .flat()
+  .filter(other => other !== word);
+
+// Classic edit distance, stopping early once `max` is exceeded
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Short words only get one typo, longer words two
+const allowedTypos = (word) => (word.length >= 8 ? 2 : 1);
+
+let vocabulary = null;
+let vocabularyBuiltAt = 0;
+
+// Words from product names and categories (the things people type)
+const getVocabulary = async () => {
+  if (vocabulary && Date.now() - vocabularyBuiltAt < VOCABULARY_TTL_MS) {
+    return vocabulary;
+  }
+
+  const [names, categories] = await Promise.all([
+    Product.distinct('name', Product.publicFilter()),
+    Product.distinct('category', Product.publicFilter()),
+  ]);
+
+  vocabulary = new Set(
+    [...names, ...categories, ...SEARCH_SYNONYMS.flat()]
+      .flatMap(tokenize)
+      .filter(word => word.length >= 3)
+  );
+  vocabularyBuiltAt = Date.now();
+  return vocabulary;
+};
+
+// Closest known word to a misspelt one, or null when nothing is close enough
+const correctWord = (word, words) => {
+  if (word.length < 4 || words.has(word)) {
+    return null;
+  }
+
+  const max = allowedTypos(word);
+  let best = null;
+  let bestDistance = max + 1;
+
+  for (const candidate of words) {
+    const distance = editDistance(word, candidate, max);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return best;
+};
+
+// @desc    Expand a search box query into $text search terms
+//          Each word is searched along with its synonyms and, when it is not
+//          a word the catalog knows, its closest spelling. `didYouMean` is
+//          the corrected query when any word was corrected.
+const expandSearchQuery = async (keyword) => {
+  const words = tokenize(keyword).slice(0, MAX_QUERY_TERMS);
+  if (words.length === 0) {
+    return null;
+  }
+
+  const known = await getVocabulary();
+  const terms = new Set();
+  let corrected = false;
+
+  const correctedWords = words.map(word => {
+    const correction = correctWord(word, known);
+    const used = correction || word;
+
+    terms.add(word);
+    terms.add(used);
+    synonymsOf(used).forEach(synonym => terms.add(synonym));
+
+    if (correction) {
+      corrected = true;
+    }
+    return used;
+  });
+
+  return {
+    terms: [...terms],
+    didYouMean: corrected ? correctedWords.join(' ') : undefined,
+  };
+};
+
+// @desc    Build the $text filter for a keyword (null when there is no keyword)
+//          $text ORs the terms and ranks by the weighted index on Product.
+const buildSearchFilter = async (keyword) => {
+  const expanded = await expandSearchQuery(keyword);
+  if (!expanded) {
+    return null;
+  }
+
+  return {
+    filter: { $text: { $search: expanded.terms.join(' ') } },
+    didYouMean: expanded.didYouMean,
+  };
+};
+
+module.exports = {
+  escapeRegex,
+  buildSearchFilter,
+};
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const WebhookEvent = require('../models/WebhookEvent');
+const { markOrderPaid, recordPaymentAttempt, toPaise, isRefundDue } = require('./orderPayment');
+
+// @desc    Check the X-Razorpay-Signature header: an HMAC-SHA256 of the
+//          raw request body keyed with the webhook secret
+const verifyWebhookSignature = (rawBody, signature, secret) => {
+  if (!rawBody || !signature || !secret) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(String(signature));
+
+  return (
+    expectedBuffer.length === signatureBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, signatureBuffer)
+  );
+};
+
+// Razorpay sends a unique X-Razorpay-Event-Id; fall back to a body hash
+const getEventId = (headerValue, rawBody) =>
+  headerValue || crypto.createHash('sha256').update(rawBody).digest('hex');
+
+// Orders are bound to their Razorpay order at checkout; payments against
+// any other Razorpay order are not ours to apply
+const findOrderForPayment = (payment, session) => {
+  if (!payment.order_id) {
+    return null;
+  }
+  return Order.findOne({ razorpayOrderId: payment.order_id }).session(session);
+};
+
+const handlePaymentCaptured = async (payment, session) => {
+  const order = await findOrderForPayment(payment, session);
+  if (!order) {
+    return { outcome: 'order_not_found' };
+  }
+
+  recordPaymentAttempt(order, {
+    razorpayOrderId: payment.order_id,
+    razorpayPaymentId: payment.id,
+    amount: payment.amount / 100,
+    status: 'succeeded',
+    source: 'webhook',
+  });
+
+  if (!order.isPaid) {
+    // Never mark an order paid for less than its server-side total
+    if (payment.amount < toPaise(order.totalPrice)) {
+      console.error(`Webhook amount mismatch for order ${order._id}: ${payment.amount} paise`);
+      await order.save({ session });
+      return { outcome: 'amount_mismatch', order };
+    }
+
+    await markOrderPaid(order, {
+      id: payment.id,
+      status: 'success',
+      update_time: new Date().toISOString(),
+      email_address: payment.email,
+    }, session);
+  }
+
+  await order.save({ session });
+
+  if (isRefundDue(order)) {
+    return { outcome: 'paid_cancelled_order', order };
+  }
+  return { outcome: order.stockShortage && order.stockShortage.flaggedAt ? 'paid_stock_shortage' : 'processed', order };
+};
+
+const handlePaymentFailed = async (payment, session) => {
+  const order = await findOrderForPayment(payment, session);
+  if (!order) {
+    return { outcome: 'order_not_found' };
+  }
+
+  recordPaymentAttempt(order, {
+    razorpayOrderId: payment.order_id,
+    razorpayPaymentId: payment.id,
+    amount: payment.amount / 100,
+    status: 'failed',
+    source: 'webhook',
+    errorCode: payment.error_code,
+    errorDescription: payment.error_description,
+  });
+
+  // A failed retry must not overwrite a successful payment
+  if (!order.isPaid) {
+    order.paymentResult = {
+      id: payment.id,
+      status: 'failed',
+      update_time: new Date().toISOString(),
+      email_address: payment.email,
+    };
+  }
+
+  await order.save({ session });
+  return { outcome: 'processed', order };
+};
+
+const handleRefundProcessed = async (refund, session) => {
+  const order = await Order.findOne({ 'paymentResult.id': refund.payment_id }).session(session);
+  if (!order) {
+    return { outcome: 'order_not_found' };
+  }
+
+  // Refunds issued through our API carry their id in the notes; ones made
+  // from the Razorpay dashboard are new to us
+  const notedId = refund.notes && refund.notes.refundId;
+  const existing = order.refunds.find(
+    r => r.razorpayRefundId === refund.id || (notedId && r._id.toString() === notedId)
+  );
+
+  if (existing) {
+    if (existing.status === 'failed') {
+      order.amountRefunded += existing.amount;
+    }
+    existing.razorpayRefundId = refund.id;
+    existing.status = 'processed';
+    existing.processedAt = new Date();
+  } else {
+    const amount = refund.amount / 100;
+    order.refunds.push({
+      razorpayRefundId: refund.id,
+      amount,
+      reason: 'Issued from the Razorpay dashboard',
+      status: 'processed',
+      processedAt: new Date(),
+    });
+    order.amountRefunded += amount;
+  }
+
+  await order.save({ session });
+  return { outcome: 'processed', order };
+};
+
+// Pull `payload.<key>.entity` out of an event, or null when it is missing
+const entityOf = (payload, key) => (payload && payload[key] && payload[key].entity) || null;
+
+const handlers = {
+  'payment.captured': (payload, session) => {
+    const payment = entityOf(payload, 'payment');
+    return payment ? handlePaymentCaptured(payment, session) : { outcome: 'ignored' };
+  },
+  'order.paid': (payload, session) => {
+    const payment = entityOf(payload, 'payment');
+    const order = entityOf(payload, 'order');
+    return payment && order
+      ? handlePaymentCaptured({ order_id: order.id, ...payment }, session)
+      : { outcome: 'ignored' };
+  },
+  'payment.failed': (payload, session) => {
+    const payment = entityOf(payload, 'payment');
+    return payment ? handlePaymentFailed(payment, session) : { outcome: 'ignored' };
+  },
+  'refund.processed': (payload, session) => {
+    const refund = entityOf(payload, 'refund');
+    return refund ? handleRefundProcessed(refund, session) : { outcome: 'ignored' };
+  },
+};
+
+// @desc    Apply a verified webhook event exactly once
+//          The event record and the order changes share one transaction,
+//          so a replay either sees the record or redoes the whole thing.
+const processWebhookEvent = async (eventId, body) => {
+  return mongoose.connection.transaction(async (session) => {
+    const alreadyProcessed = await WebhookEvent.exists({ eventId }).session(session);
+    if (alreadyProcessed) {
+      return { duplicate: true, outcome: 'duplicate' };
+    }
+
+    const handler = handlers[body.event];
+    const result = handler
+      ? await handler(body.payload, session)
+      : { outcome: 'ignored' };
+
+    await WebhookEvent.create([{
+      eventId,
+      event: body.event,
+      outcome: result.outcome,
+      order: result.order ? result.order._id : undefined,
+    }], { session });
+
+    return { duplicate: false, outcome: result.outcome };
+  });
+};
+
+module.exports = { verifyWebhookSignature, getEventId, processWebhookEvent };
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const httpError = require('./httpError');
+const { randomToken, hashToken } = require('./secureToken');
+
+// Refresh tokens live this long unless used or revoked (override through .env)
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS ?? 30);
+
+// Two tabs refreshing at once both send the same token. Within this window a
+// second use is refused without being treated as theft.
+const REUSE_GRACE_MS = 10 * 1000;
+
+// @desc    Create a refresh token for a user and return the raw value
+//          (only its hash is stored). Pass `family` to continue a session.
+const issueRefreshToken = async (userId, req, family = crypto.randomUUID()) => {
+  const token = randomToken(48);
+
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  return token;
+};
+
+// @desc    End every session of a user: refresh tokens are revoked and
+//          access tokens issued so far stop working in protect
+//          Returns the new tokenVersion for any token issued afterwards.
+const revokeAllUserTokens = async (userId, reason = 'revoked') => {
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  const user = await User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } }, { new: true });
+  return user ? user.tokenVersion : 0;
+};
+
+// @desc    Swap a refresh token for a new one (the old one stops working)
+//          Returns { user, refreshToken }. Presenting a token that was already
+//          swapped means it was copied: every session of the user is ended.
+const rotateRefreshToken = async (token, req) => {
+  if (!token) {
+    throw httpError(401, 'Refresh token is required');
+  }
+
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  // Claim the token atomically so it can only be exchanged once
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now, revokedReason: 'rotated' } }
+  );
+
+  if (!current) {
+    const used = await RefreshToken.findOne({ tokenHash });
+
+    if (used && used.revokedReason === 'rotated') {
+      if (now - used.revokedAt > REUSE_GRACE_MS) {
+        console.warn(`Refresh token reuse detected for user ${used.user}; revoking all sessions`);
+        await revokeAllUserTokens(used.user, 'reuse');
+        throw httpError(401, 'Session expired. Please log in again');
+      }
+      throw httpError(401, 'Refresh token already used');
+    }
+
+    throw httpError(401, 'Invalid or expired refresh token');
+  }
+
+  const user = await User.findById(current.user).select('-password');
+  if (!user) {
+    throw httpError(401, 'Invalid or expired refresh token');
+  }
+
+  return {
+    user,
+    refreshToken: await issueRefreshToken(user._id, req, current.family)
+  };
+};
+
+// @desc    Log a session out (the token's whole family); unknown tokens are ignored
+//          Returns the token's user id, or null.
+const revokeRefreshToken = async (token) => {
+  const found = token ? await RefreshToken.findOne({ tokenHash: hashToken(token) }) : null;
+  if (!found) {
+    return null;
+  }
+
+  await RefreshToken.updateMany(
+    { family: found.family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+  );
+  return found.user;
+};
+
+module.exports = {
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllUserTokens,
+};
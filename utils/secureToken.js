@@ -0,0 +1,10 @@
+const crypto = require('crypto');
+
+// @desc    Random URL-safe token for links and refresh tokens
+const randomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+// @desc    SHA-256 of a token; only this is stored so a database leak does
+//          not hand out working tokens
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = { randomToken, hashToken };
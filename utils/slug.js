@@ -0,0 +1,35 @@
+// URL-safe slug from a display name: "Cotton Nighties!" -> "cotton-nighties"
+const slugify = (text) =>
+  String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+
+// @desc    First free slug for `text` in a model: "cotton", "cotton-2", ...
+//          `excludeId` lets a document keep its own slug when it is re-saved.
+//          `historyField` also skips slugs other documents used to have, so
+//          their old links keep redirecting.
+const uniqueSlug = async (Model, text, { excludeId, historyField } = {}) => {
+  const base = slugify(text) || 'item';
+  let candidate = base;
+
+  for (let n = 2; ; n++) {
+    const taken = await Model.exists({
+      $or: [
+        { slug: candidate },
+        ...(historyField ? [{ [historyField]: candidate }] : [])
+      ],
+      ...(excludeId && { _id: { $ne: excludeId } })
+    });
+    if (!taken) {
+      return candidate;
+    }
+    candidate = `${base}-${n}`;
+  }
+};
+
+module.exports = { slugify, uniqueSlug };
@@ -0,0 +1,127 @@
+const httpError = require('./httpError');
+
+// Build a readable SKU such as "A1B2C3-XL" or "A1B2C3-XL-MAROON"
+const generateSku = (productId, size, color) => {
+  const parts = [String(productId).slice(-6), size, color]
+    .filter(Boolean)
+    .map(part => String(part).trim().replace(/\s+/g, '-'));
+  return parts.join('-').toUpperCase();
+};
+
+// Same size and colour (case-insensitive) means same variant
+const variantKey = (size, color) => `${size}|${(color || '').toLowerCase()}`;
+
+// @desc    Pick the variant an order line or cart line refers to
+const findVariant = (product, size, color) => {
+  if (!product.variants || product.variants.length === 0) {
+    return null;
+  }
+  return product.variants.find(
+    v => variantKey(v.size, v.color) === variantKey(size, color)
+  ) || null;
+};
+
+// @desc    Split a flat stock count across sizes (used for products that
+//          only have sizes + countInStock). The remainder goes to the first sizes.
+const buildVariantsFromSizes = (productId, sizes, countInStock) => {
+  const uniqueSizes = [...new Set(sizes || [])];
+  if (uniqueSizes.length === 0) {
+    return [];
+  }
+
+  const total = Math.max(parseInt(countInStock) || 0, 0);
+  const perSize = Math.floor(total / uniqueSizes.length);
+  const remainder = total % uniqueSizes.length;
+
+  return uniqueSizes.map((size, index) => ({
+    sku: generateSku(productId, size),
+    size,
+    countInStock: perSize + (index < remainder ? 1 : 0)
+  }));
+};
+
+// @desc    Validate variants sent by an admin and fill in missing SKUs
+const normalizeVariants = (productId, variants) => {
+  if (!Array.isArray(variants) || variants.length === 0) {
+    throw httpError(400, 'Variants must be a non-empty array');
+  }
+
+  const seen = new Set();
+  const seenSkus = new Set();
+
+  return variants.map((variant, index) => {
+    if (!variant || !variant.size) {
+      throw httpError(400, `Variant ${index + 1} is missing a size`);
+    }
+
+    const key = variantKey(variant.size, variant.color);
+    if (seen.has(key)) {
+      throw httpError(400, `Duplicate variant for size ${variant.size}${variant.color ? ` / ${variant.color}` : ''}`);
+    }
+    seen.add(key);
+
+    const countInStock = parseInt(variant.countInStock) || 0;
+    if (countInStock < 0) {
+      throw httpError(400, 'Stock count cannot be negative');
+    }
+
+    const normalized = {
+      sku: variant.sku || generateSku(productId, variant.size, variant.color),
+      size: variant.size,
+      countInStock
+    };
+
+    if (seenSkus.has(normalized.sku.toUpperCase())) {
+      throw httpError(400, `Duplicate SKU ${normalized.sku}`);
+    }
+    seenSkus.add(normalized.sku.toUpperCase());
+
+    if (variant.color) {
+      normalized.color = variant.color;
+    }
+
+    if (variant.price !== undefined && variant.price !== null && variant.price !== '') {
+      const price = parseFloat(variant.price);
+      if (!(price > 0)) {
+        throw httpError(400, 'Variant price must be greater than 0');
+      }
+      normalized.price = price;
+    }
+
+    // Keep the subdocument id so existing references stay stable on update
+    if (variant._id) {
+      normalized._id = variant._id;
+    }
+
+    return normalized;
+  });
+};
+
+// @desc    Give variants that already exist (same SKU) their stored stock back
+//          Orders move stock with $inc, so an existing variant's count only
+//          changes through the variant endpoint's conditional update, never
+//          by saving a whole variant list. `sent` is the list normalizeVariants
+//          was given, in the same order. Returns the SKUs whose sent count
+//          differed from the stored one.
+const keepStoredStock = (storedVariants, variants, sent) => {
+  const stored = new Map(storedVariants.map(v => [v.sku.toUpperCase(), v.countInStock]));
+  const changed = [];
+
+  variants.forEach((variant, index) => {
+    const sku = variant.sku.toUpperCase();
+    if (!stored.has(sku)) {
+      return;
+    }
+
+    const sentStock = sent[index] && sent[index].countInStock;
+    const wasSent = sentStock !== undefined && sentStock !== null && sentStock !== '';
+    if (wasSent && variant.countInStock !== stored.get(sku)) {
+      changed.push(sku);
+    }
+    variant.countInStock = stored.get(sku);
+  });
+
+  return changed;
+};
+
+module.exports = { generateSku, findVariant, buildVariantsFromSizes, normalizeVariants, keepStoredStock };
@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Verification = require('../models/Verification');
+const httpError = require('./httpError');
+const { randomToken, hashToken } = require('./secureToken');
+const { emailVerificationEmail } = require('./emails');
+const { sendMail } = require('../config/mail');
+const { sendSms } = require('../config/sms');
+const { CLIENT_URL } = require('../config/client');
+
+// Lifetimes and limits (override through .env)
+const EMAIL_VERIFICATION_TTL_HOURS = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS ?? 24);
+const PHONE_OTP_TTL_MINUTES = Number(process.env.PHONE_OTP_TTL_MINUTES ?? 10);
+const VERIFICATION_RESEND_SECONDS = Number(process.env.VERIFICATION_RESEND_SECONDS ?? 60);
+const VERIFICATION_MAX_SENDS_PER_HOUR = Number(process.env.VERIFICATION_MAX_SENDS_PER_HOUR ?? 5);
+const PHONE_OTP_MAX_ATTEMPTS = 5;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// What checkout needs verified: CHECKOUT_REQUIRES_VERIFICATION=email,phone
+// (empty, the default, lets everyone check out)
+const CHECKOUT_REQUIRES_VERIFICATION = String(process.env.CHECKOUT_REQUIRES_VERIFICATION || '')
+  .split(',')
+  .map(channel => channel.trim().toLowerCase())
+  .filter(channel => channel === 'email' || channel === 'phone');
+
+const targetOf = (user, channel) => (channel === 'email' ? user.email : user.phone);
+
+const isVerified = (user, channel) => Boolean(channel === 'email' ? user.emailVerified : user.phoneVerified);
+
+// Refuse a send that comes too soon after the last one, or one too many this
+// hour. Returns the send counters for the new code.
+const checkResendAllowed = (previous, now) => {
+  if (!previous) {
+    return { sendCount: 1, sendWindowStartedAt: now };
+  }
+
+  const waitMs = previous.lastSentAt.getTime() + VERIFICATION_RESEND_SECONDS * 1000 - now.getTime();
+  if (waitMs > 0) {
+    throw httpError(429, `Please wait ${Math.ceil(waitMs / 1000)} seconds before requesting another code`, {
+      retryAfter: Math.ceil(waitMs / 1000)
+    });
+  }
+
+  if (now - previous.sendWindowStartedAt >= HOUR_MS) {
+    return { sendCount: 1, sendWindowStartedAt: now };
+  }
+
+  if (previous.sendCount >= VERIFICATION_MAX_SENDS_PER_HOUR) {
+    const retryAfter = Math.ceil((previous.sendWindowStartedAt.getTime() + HOUR_MS - now.getTime()) / 1000);
+    throw httpError(429, 'Too many codes requested. Please try again later', { retryAfter });
+  }
+
+  return { sendCount: previous.sendCount + 1, sendWindowStartedAt: previous.sendWindowStartedAt };
+};
+
+// @desc    Send a verification email link or SMS code to a user
+//          A new send replaces the previous code. Throws 400 when already
+//          verified and 429 when resending too often.
+const sendVerification = async (user, channel) => {
+  const target = targetOf(user, channel);
+  if (!target) {
+    throw httpError(400, `No ${channel} on this account to verify`);
+  }
+  if (isVerified(user, channel)) {
+    throw httpError(400, `Your ${channel} is already verified`);
+  }
+
+  const now = new Date();
+  const previous = await Verification.findOne({ user: user._id, channel });
+  const counters = checkResendAllowed(previous, now);
+
+  const code = channel === 'email'
+    ? randomToken()
+    : String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const expiresAt = new Date(now.getTime() + (channel === 'email'
+    ? EMAIL_VERIFICATION_TTL_HOURS * HOUR_MS
+    : PHONE_OTP_TTL_MINUTES * 60 * 1000));
+
+  await Verification.findOneAndUpdate(
+    { user: user._id, channel },
+    {
+      $set: {
+        target,
+        codeHash: hashToken(code),
+        expiresAt,
+        attempts: 0,
+        lastSentAt: now,
+        ...counters
+      }
+    },
+    { upsert: true }
+  );
+
+  try {
+    if (channel === 'email') {
+      await sendMail({
+        to: target,
+        ...emailVerificationEmail({
+          name: user.name,
+          verifyUrl: `${CLIENT_URL}/verify-email?token=${encodeURIComponent(code)}`,
+          expiresInHours: EMAIL_VERIFICATION_TTL_HOURS
+        })
+      });
+    } else {
+      await sendSms({
+        to: target,
+        text: `${code} is your Nighty Sale verification code. It expires in ${PHONE_OTP_TTL_MINUTES} minutes.`
+      });
+    }
+  } catch (error) {
+    console.error(`Verification ${channel} delivery error:`, error);
+    throw httpError(502, `Could not send the verification ${channel === 'email' ? 'email' : 'SMS'}. Please try again later`);
+  }
+
+  return { channel, expiresAt, resendAfter: new Date(now.getTime() + VERIFICATION_RESEND_SECONDS * 1000) };
+};
+
+// Mark a channel verified, as long as the user still has the address or
+// number the code was sent to
+const markVerified = async (userId, channel, target) => {
+  const field = channel === 'email' ? 'email' : 'phone';
+  const now = new Date();
+
+  const user = await User.findOneAndUpdate(
+    { _id: userId, [field]: target },
+    { $set: channel === 'email'
+      ? { emailVerified: true, emailVerifiedAt: now }
+      : { phoneVerified: true, phoneVerifiedAt: now } },
+    { new: true }
+  );
+
+  if (!user) {
+    throw httpError(400, `This code was sent to a ${channel === 'email' ? 'different email' : 'different phone number'}. Please request a new one`);
+  }
+  return user;
+};
+
+// @desc    Confirm an email with the token from the emailed link (single use)
+const verifyEmailToken = async (token) => {
+  if (!token) {
+    throw httpError(400, 'Verification token is required');
+  }
+
+  const verification = await Verification.findOneAndDelete({
+    channel: 'email',
+    codeHash: hashToken(token),
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (!verification) {
+    throw httpError(400, 'This verification link is invalid or has expired');
+  }
+
+  return markVerified(verification.user, 'email', verification.target);
+};
+
+// @desc    Confirm a phone number with the SMS code
+//          A code allows PHONE_OTP_MAX_ATTEMPTS guesses in total.
+const verifyPhoneCode = async (user, code) => {
+  if (!code) {
+    throw httpError(400, 'Verification code is required');
+  }
+
+  // Claim one guess atomically before comparing, so parallel requests cannot
+  // all read "attempts < max" and each get a free guess
+  const now = new Date();
+  const verification = await Verification.findOneAndUpdate(
+    {
+      user: user._id,
+      channel: 'phone',
+      expiresAt: { $gt: now },
+      attempts: { $lt: PHONE_OTP_MAX_ATTEMPTS }
+    },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!verification) {
+    const pending = await Verification.exists({ user: user._id, channel: 'phone', expiresAt: { $gt: now } });
+    throw httpError(400, pending
+      ? 'Too many incorrect attempts. Please request a new code'
+      : 'This code has expired. Please request a new one');
+  }
+
+  const expected = Buffer.from(verification.codeHash, 'hex');
+  const given = Buffer.from(hashToken(String(code).trim()), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, given)) {
+    throw httpError(400, 'Incorrect verification code');
+  }
+
+  // Delete first so the same code cannot be used twice
+  const claimed = await Verification.findOneAndDelete({ _id: verification._id, codeHash: verification.codeHash });
+  if (!claimed) {
+    throw httpError(400, 'This code has already been used. Please request a new one');
+  }
+
+  return markVerified(user._id, 'phone', verification.target);
+};
+
+// @desc    What still has to be verified before this user may check out
+//          Returns null when checkout is allowed.
+const checkoutVerificationError = (user) => {
+  const missing = CHECKOUT_REQUIRES_VERIFICATION.filter(channel => !isVerified(user, channel));
+  if (missing.length === 0) {
+    return null;
+  }
+
+  return {
+    message: `Please verify your ${missing.join(' and ')} before placing an order`,
+    required: missing
+  };
+};
+
+module.exports = {
+  CHECKOUT_REQUIRES_VERIFICATION,
+  checkResendAllowed,
+  sendVerification,
+  verifyEmailToken,
+  verifyPhoneCode,
+  checkoutVerificationError,
+};